@@ -425,6 +425,12 @@ def removedEdges (d : GraphDiff) : List Edge :=
     | .removed e => some e
     | _ => none
 
+/-- Get only modified edges (old, new pairs) -/
+def modifiedEdges (d : GraphDiff) : List (Edge × Edge) :=
+  d.edges.filterMap fun c => match c with
+    | .modified oldEdge newEdge => some (oldEdge, newEdge)
+    | _ => none
+
 /-- Summary of changes -/
 def summary (d : GraphDiff) : String :=
   let added := d.addedNodes.length
@@ -432,7 +438,8 @@ def summary (d : GraphDiff) : String :=
   let modified := d.modifiedNodes.length
   let edgesAdded := d.addedEdges.length
   let edgesRemoved := d.removedEdges.length
-  s!"+{added}/-{removed}/~{modified} nodes, +{edgesAdded}/-{edgesRemoved} edges"
+  let edgesModified := d.modifiedEdges.length
+  s!"+{added}/-{removed}/~{modified} nodes, +{edgesAdded}/-{edgesRemoved}/~{edgesModified} edges"
 
 end GraphDiff
 
@@ -38,12 +38,14 @@ structure SourceRange where
   uri : String
   /-- Start line (0-indexed) -/
   startLine : Nat
-  /-- Start character (0-indexed) -/
+  /-- Start character (0-indexed, in UTF-16 code units as in LSP) -/
   startChar : Nat
   /-- End line (0-indexed) -/
   endLine : Nat
-  /-- End character (0-indexed) -/
+  /-- End character (0-indexed, in UTF-16 code units as in LSP) -/
   endChar : Nat
+  /-- Source text of the range, so the widget can edit it -/
+  text : String := ""
   deriving Repr, BEq, Inhabited
 
 /-- A node in the graph -/
@@ -2,6 +2,7 @@ import Dot4.Render
 import Dot4.Elab
 import Dot4.Record
 import Lean.Elab.Term
+import Lean.Data.Lsp.Utf16
 
 /-!
 # DOT DSL Syntax
@@ -465,21 +466,23 @@ macro_rules
 
 open Lean Elab Term Meta
 
-/-- Extract SourceRange from syntax position info -/
+/-- Extract SourceRange from syntax position info. Lines and columns are LSP
+positions (0-indexed, columns in UTF-16 code units), as editor edits expect. -/
 def syntaxToSourceRange (stx : Syntax) : TermElabM (Option SourceRange) := do
   let some startPos := stx.getPos? | return none
   let some endPos := stx.getTailPos? | return none
   let fileMap ← getFileMap
   let fileName ← getFileName
   let uri := s!"file://{fileName}"
-  let startLoc := fileMap.toPosition startPos
-  let endLoc := fileMap.toPosition endPos
+  let startLoc := fileMap.leanPosToLspPos (fileMap.toPosition startPos)
+  let endLoc := fileMap.leanPosToLspPos (fileMap.toPosition endPos)
   return some {
     uri := uri
-    startLine := startLoc.line - 1  -- 0-indexed
-    startChar := startLoc.column
-    endLine := endLoc.line - 1
-    endChar := endLoc.column
+    startLine := startLoc.line
+    startChar := startLoc.character
+    endLine := endLoc.line
+    endChar := endLoc.character
+    text := (stx.getSubstring? (withLeading := false) (withTrailing := false)).map (·.toString) |>.getD ""
   }
 
 /-- Extract node ID from dotNodeId syntax -/
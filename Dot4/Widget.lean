@@ -14,6 +14,9 @@ Renders Dot4 graphs as SVG in the VS Code infoview using Graphviz (viz.js).
 ## Commands
 - {lit}`#dot myGraph` - Render graph as SVG
 - {lit}`#dot_raw "digraph { a -> b }"` - Render raw DOT string
+- {lit}`#dot_topo myGraph` - Animate a topological sort
+- {lit}`#dot_bfs myGraph "start"` - Animate a BFS, level by level
+- {lit}`#dot_gallery [g1, g2]` - Show several graphs as tabs or thumbnails
 -/
 
 namespace Dot4
@@ -36,6 +39,48 @@ structure SourceLocation where
   endLine : Nat
   /-- End character (0-indexed). -/
   endChar : Nat
+  /-- Source text of the range, used to edit it from the widget. -/
+  text : Option String := none
+  deriving Inhabited, Server.RpcEncodable
+
+/-- One step of a widget animation: the nodes and edges it highlights, with an
+optional explanation shown under the player. -/
+structure AnimationStep where
+  /-- Node IDs highlighted in this step. -/
+  nodes : Array String := #[]
+  /-- Edge IDs highlighted in this step (format "src->dst"). -/
+  edges : Array String := #[]
+  /-- Explanation of the step. -/
+  caption : Option String := none
+  deriving Inhabited, Server.RpcEncodable
+
+/-- An attribute of a modified node or edge that differs between the two graphs
+of a diff. -/
+structure AttrChange where
+  /-- Attribute name. -/
+  key : String
+  /-- Value in the old graph, if set there. -/
+  old : Option String := none
+  /-- Value in the new graph, if set there. -/
+  new : Option String := none
+  deriving Inhabited, Server.RpcEncodable
+
+/-- A modified node or edge with its changed attributes. -/
+structure ElementChange where
+  /-- Node ID, or edge ID in the format "src->dst". -/
+  id : String
+  /-- The attributes that changed. -/
+  changes : Array AttrChange := #[]
+  deriving Inhabited, Server.RpcEncodable
+
+/-- One graph of a gallery. -/
+structure GalleryGraph where
+  /-- Name shown on the graph's tab and thumbnail. -/
+  name : String
+  /-- The DOT source string to render. -/
+  dotSource : String
+  /-- Source locations for click-to-source navigation. -/
+  sourceLocations : Option (Array SourceLocation) := none
   deriving Inhabited, Server.RpcEncodable
 
 /-- Props for the Graphviz widget. -/
@@ -54,10 +99,43 @@ structure DotVisualizationProps where
   addedEdges : Option (Array String) := none
   /-- Edge IDs that were removed (for diff). -/
   removedEdges : Option (Array String) := none
+  /-- Nodes whose attributes changed (for diff). -/
+  modifiedNodes : Option (Array ElementChange) := none
+  /-- Edges whose attributes changed (for diff). -/
+  modifiedEdges : Option (Array ElementChange) := none
+  /-- DOT source of the old graph, for the diff view's old/new toggle. -/
+  oldDotSource : Option String := none
+  /-- DOT source of the new graph, for the diff view's old/new toggle. -/
+  newDotSource : Option String := none
   /-- Node order for animation (e.g., topological sort). -/
   animationOrder : Option (Array String) := none
+  /-- Animation steps; takes precedence over {lit}`animationOrder`. -/
+  animationSteps : Option (Array AnimationStep) := none
   /-- Source locations for click-to-source navigation. -/
   sourceLocations : Option (Array SourceLocation) := none
+  /-- Location of the whole {lit}`dot { }` block, where elements added from the
+  widget are inserted. -/
+  sourceBlock : Option SourceLocation := none
+  /-- Layout time budget in milliseconds before the widget stops Graphviz
+  (default 30000; 0 disables the limit). -/
+  layoutTimeout : Option Nat := none
+  /-- Open with the cycle view on: strongly connected components colored and
+  the edges that close cycles outlined. -/
+  cycleMode : Option Bool := none
+  /-- Several graphs shown one at a time, as tabs or a grid of thumbnails;
+  {lit}`dotSource` and {lit}`sourceLocations` are taken from the one shown. -/
+  graphs : Option (Array GalleryGraph) := none
+  /-- Key the widget saves its view state (engine, zoom, selection, panels)
+  under, so it is restored when the command is elaborated again; set by the
+  commands to the file, line and graph name. -/
+  stateKey : Option String := none
+  /-- Save and restore the view state under {lit}`stateKey` (default true). -/
+  persistState : Option Bool := none
+  /-- Number of nodes plus edges above which the widget switches to its
+  large-graph mode: labels and arrowheads hidden when zoomed out, sfdp
+  suggested, and the size shown before laying out ten times as many
+  (default 1000; 0 turns the mode off). -/
+  largeGraphThreshold : Option Nat := none
   deriving Inhabited, Server.RpcEncodable
 
 /-- Widget component using viz.js (Graphviz compiled to WASM). -/
@@ -67,27 +145,24 @@ def DotVisualization : ProofWidgets.Component DotVisualizationProps where
 
 /-! ## Commands -/
 
+/-- Convert a SourceRange to a SourceLocation for the element {lit}`id`. -/
+def SourceRange.toLocation (r : SourceRange) (id : String) : SourceLocation := {
+  id := id
+  uri := r.uri
+  startLine := r.startLine
+  startChar := r.startChar
+  endLine := r.endLine
+  endChar := r.endChar
+  text := if r.text.isEmpty then none else some r.text
+}
+
 /-- Convert SourceRange to SourceLocation for a node. -/
 def nodeSourceLocation (n : Node) : Option SourceLocation :=
-  n.srcRange.map fun r => {
-    id := n.id
-    uri := r.uri
-    startLine := r.startLine
-    startChar := r.startChar
-    endLine := r.endLine
-    endChar := r.endChar
-  }
+  n.srcRange.map (·.toLocation n.id)
 
 /-- Convert SourceRange to SourceLocation for an edge. -/
 def edgeSourceLocation (e : Edge) : Option SourceLocation :=
-  e.srcRange.map fun r => {
-    id := s!"{e.src}->{e.dst}"
-    uri := r.uri
-    startLine := r.startLine
-    startChar := r.startChar
-    endLine := r.endLine
-    endChar := r.endChar
-  }
+  e.srcRange.map (·.toLocation s!"{e.src}->{e.dst}")
 
 /-- Extract all source locations from a Graph. -/
 def Graph.sourceLocations (g : Graph) : Array SourceLocation :=
@@ -97,6 +172,13 @@ def Graph.sourceLocations (g : Graph) : Array SourceLocation :=
   let subgraphEdgeLocs := g.subgraphs.map (·.edges.filterMap edgeSourceLocation) |>.flatten
   (nodeLocs ++ edgeLocs ++ subgraphNodeLocs ++ subgraphEdgeLocs).toArray
 
+/-- Key for the widget's saved view state: the file and line of the command
+and the graph's name. -/
+def widgetStateKey (stx : Syntax) (graphName : String) : CommandElabM (Option String) := do
+  let some pos := stx.getPos? | return none
+  let line := ((← getFileMap).toPosition pos).line
+  return some s!"{← getFileName}:{line}:{graphName}"
+
 /-- Evaluate Graph.toDot at compile time. -/
 unsafe def evalGraphToDot (stx : Syntax) : TermElabM String := do
   let expr ← elabTerm stx (some (Lean.mkConst ``Graph))
@@ -114,12 +196,18 @@ syntax (name := showDotCmd) "#dot " term : command
 @[command_elab showDotCmd]
 unsafe def elabShowDotCmd : CommandElab := fun
   | stx@`(#dot $g:term) => do
-    let (dotStr, srcLocs) ← liftTermElabM do
+    let (dotStr, srcLocs, block, name) ← liftTermElabM do
       -- Check if g is a dot { ... } syntax to extract source locations
-      let syntaxLocs ← if g.raw.isOfKind `Dot4.term.dot then
+      let isDotBlock := g.raw.isOfKind `Dot4.term.dot
+      let syntaxLocs ← if isDotBlock then
         extractSourceLocations g.raw
       else
         pure []
+      -- The block itself, for elements added from the widget
+      let block ← if isDotBlock then
+        pure ((← syntaxToSourceRange g.raw).map (·.toLocation ""))
+      else
+        pure none
 
       let expr ← elabTerm g (some (Lean.mkConst ``Graph))
       let gr ← Lean.Meta.evalExpr' Graph ``Graph expr
@@ -129,10 +217,13 @@ unsafe def elabShowDotCmd : CommandElab := fun
 
       let dotStr := gr.toDot
       let srcLocs := gr.sourceLocations
-      pure (dotStr, srcLocs)
+      pure (dotStr, srcLocs, block, gr.name)
+    let key ← widgetStateKey stx name
     let props : DotVisualizationProps := {
       dotSource := dotStr
       sourceLocations := if srcLocs.isEmpty then none else some srcLocs
+      sourceBlock := block
+      stateKey := key
     }
     liftCoreM <| Widget.savePanelWidgetInfo
       (hash DotVisualization.javascript)
@@ -151,12 +242,58 @@ syntax (name := showDotRawCmd) "#dot_raw " str : command
 def elabShowDotRawCmd : CommandElab := fun
   | stx@`(#dot_raw $s:str) => do
     let dotStr := s.getString
+    let key ← widgetStateKey stx "raw"
     liftCoreM <| Widget.savePanelWidgetInfo
       (hash DotVisualization.javascript)
-      (return (← rpcEncode ({ dotSource := dotStr } : DotVisualizationProps)))
+      (return (← rpcEncode ({ dotSource := dotStr, stateKey := key } : DotVisualizationProps)))
       stx
   | stx => throwError "Unexpected syntax {stx}."
 
+/-! ## Gallery -/
+
+/-- Gallery entries for a list of graphs, named after the graphs (numbered when
+several share a name). -/
+def galleryGraphs (grs : List Graph) : Array GalleryGraph := Id.run do
+  let mut graphs : Array GalleryGraph := #[]
+  for gr in grs do
+    let shared := (grs.filter (·.name == gr.name)).length > 1
+    let locs := gr.sourceLocations
+    graphs := graphs.push {
+      name := if shared then s!"{gr.name} ({graphs.size + 1})" else gr.name
+      dotSource := gr.toDot
+      sourceLocations := if locs.isEmpty then none else some locs
+    }
+  return graphs
+
+/-- Render several graphs in one widget, as tabs or a grid of thumbnails that
+share the layout engine and colors, e.g. variants of a graph or the steps of
+a construction.
+
+Usage: {lit}`#dot_gallery [graph1, graph2, graph3]`
+-/
+syntax (name := showDotGalleryCmd) "#dot_gallery " term : command
+
+/-- Command elaborator for {lit}`#dot_gallery`. -/
+@[command_elab showDotGalleryCmd]
+unsafe def elabShowDotGalleryCmd : CommandElab := fun stx => do
+  let g := stx[1]
+  let listType := mkApp (Lean.mkConst ``List [levelZero]) (Lean.mkConst ``Graph)
+  let grs ← liftTermElabM do
+    let e ← elabTerm g (some listType)
+    synthesizeSyntheticMVarsNoPostponing
+    Lean.Meta.evalExpr (List Graph) listType (← instantiateMVars e)
+  let graphs := galleryGraphs grs
+  if graphs.isEmpty then throwError "#dot_gallery needs at least one graph"
+  let key ← widgetStateKey stx "gallery"
+  liftCoreM <| Widget.savePanelWidgetInfo
+    (hash DotVisualization.javascript)
+    (return (← rpcEncode ({
+      dotSource := graphs[0]!.dotSource
+      graphs := some graphs
+      stateKey := key
+    } : DotVisualizationProps)))
+    stx
+
 /-! ## Graph Diff -/
 
 /-- Compute node IDs from a graph. -/
@@ -176,6 +313,27 @@ def Graph.mergeForDiff (g1 g2 : Graph) : Graph :=
     if acc.any (fun e' => e'.src == e.src && e'.dst == e.dst) then acc else acc ++ [e]) []
   { g1 with nodes := allNodes, edges := allEdges }
 
+/-- Attributes of a node as key/value pairs, with its label. -/
+def nodeAttrPairs (n : Node) : List (String × String) :=
+  (n.label.map ("label", ·)).toList ++ n.attrs.map fun a => (a.key, a.value)
+
+/-- Attributes of an edge as key/value pairs, with its label and ports. Ports are
+given as attribute values ({lit}`p:ne`), without the {lit}`:` that joins them to
+a node ID. -/
+def edgeAttrPairs (e : Edge) : List (String × String) :=
+  let ports := [("tailport", (renderPort e.srcPort).drop 1), ("headport", (renderPort e.dstPort).drop 1)]
+  (e.label.map ("label", ·)).toList ++ ports.filter (!·.2.isEmpty) ++
+    e.attrs.map fun a => (a.key, a.value)
+
+/-- Attributes whose values differ between two attribute lists; a key set in
+only one of them counts as changed. -/
+def attrChanges (old new : List (String × String)) : Array AttrChange :=
+  let value (attrs : List (String × String)) (key : String) := (attrs.find? (·.1 == key)).map (·.2)
+  (old.map (·.1) ++ new.map (·.1)).eraseDups.toArray.filterMap fun key =>
+    let o := value old key
+    let n := value new key
+    if o == n then none else some { key, old := o, new := n }
+
 /-- Render a diff of two Dot4 graphs as SVG with highlighting.
 
 Usage: {lit}`#dot_diff oldGraph newGraph`
@@ -195,29 +353,69 @@ unsafe def elabShowDotDiffCmd : CommandElab := fun stx => do
     pure (gr1, gr2)
   let merged := Graph.mergeForDiff graph1 graph2
   let dotStr := merged.toDot
-  let nodes1 := graph1.nodeIds.toArray
-  let nodes2 := graph2.nodeIds.toArray
-  let edges1 := graph1.edgeIds.toArray
-  let edges2 := graph2.edgeIds.toArray
-  let addedNodes := nodes2.filter (fun n => !nodes1.contains n)
-  let removedNodes := nodes1.filter (fun n => !nodes2.contains n)
-  let addedEdges := edges2.filter (fun e => !edges1.contains e)
-  let removedEdges := edges1.filter (fun e => !edges2.contains e)
+  let d := graph1.diff graph2
+  let edgeId (e : Edge) := s!"{e.src}->{e.dst}"
+  let modifiedNodes := d.modifiedNodes.toArray.map fun (o, n) =>
+    ({ id := o.id, changes := attrChanges (nodeAttrPairs o) (nodeAttrPairs n) } : ElementChange)
+  let modifiedEdges := d.modifiedEdges.toArray.map fun (o, n) =>
+    ({ id := edgeId o, changes := attrChanges (edgeAttrPairs o) (edgeAttrPairs n) } : ElementChange)
+  let key ← widgetStateKey stx "diff"
   liftCoreM <| Widget.savePanelWidgetInfo
     (hash DotVisualization.javascript)
     (return (← rpcEncode ({
       dotSource := dotStr
       isDiff := some true
-      addedNodes := some addedNodes
-      removedNodes := some removedNodes
-      addedEdges := some addedEdges
-      removedEdges := some removedEdges
+      addedNodes := some (d.addedNodes.map (·.id)).toArray
+      removedNodes := some (d.removedNodes.map (·.id)).toArray
+      addedEdges := some (d.addedEdges.map edgeId).toArray
+      removedEdges := some (d.removedEdges.map edgeId).toArray
+      modifiedNodes := some modifiedNodes
+      modifiedEdges := some modifiedEdges
+      oldDotSource := some graph1.toDot
+      newDotSource := some graph2.toDot
+      stateKey := key
     } : DotVisualizationProps)))
     stx
 
+/-! ## Algorithm Animations -/
+
+/-- Animation steps for a topological order of {lit}`g`: one node per step. -/
+def topoSortSteps (g : Graph) (order : List String) : Array AnimationStep :=
+  let (steps, _) := order.foldl (init := ((#[] : Array AnimationStep), ([] : List String)))
+    fun (steps, done) n =>
+      let preds := g.predecessors n
+      let why := if preds.isEmpty then "it has no predecessors"
+        else s!"all its predecessors ({", ".intercalate preds}) are placed"
+      let step : AnimationStep := {
+        nodes := #[n]
+        edges := (preds.filter done.contains).map (fun p => s!"{p}->{n}") |>.toArray
+        caption := some s!"{steps.size + 1}. {n}: {why}"
+      }
+      (steps.push step, n :: done)
+  steps
+
+/-- Animation steps for a breadth-first search: one BFS level per step, with the
+edges from the previous level. -/
+def bfsSteps (g : Graph) (startId : String) : Array AnimationStep :=
+  let levels := g.bfsWithLevels startId
+  let maxLevel := levels.foldl (fun m (_, l) => max m l) 0
+  if levels.isEmpty then
+    #[{ caption := some s!"{startId} is not a node of the graph" }]
+  else
+    (List.range (maxLevel + 1)).toArray.map fun l =>
+      let here := levels.filterMap fun (n, k) => if k == l then some n else none
+      let prev := levels.filterMap fun (n, k) => if k + 1 == l then some n else none
+      let edges := g.edgePairs.filter fun (s, d) => prev.contains s && here.contains d
+      ({ nodes := here.toArray
+         edges := edges.map (fun (s, d) => s!"{s}->{d}") |>.toArray
+         caption := some (if l == 0 then s!"Level 0: start at {startId}"
+           else s!"Level {l}: {", ".intercalate here}") } : AnimationStep)
+
 /-! ## Topological Sort Visualization -/
 
-/-- Render a graph with topological sort animation order.
+/-- Render a graph with topological sort animation order. A graph with cycles
+has no topological order; it is shown in the widget's cycle view instead, with a
+warning naming one of its cycles and a single animation step that highlights it.
 
 Usage: {lit}`#dot_topo myGraph`
 -/
@@ -231,17 +429,51 @@ unsafe def elabShowDotTopoCmd : CommandElab := fun stx => do
     let e ← elabTerm g (some (Lean.mkConst ``Graph))
     Lean.Meta.evalExpr' Graph ``Graph e
   let dotStr := gr.toDot
-  let topoOrder := match gr.topologicalSort with
-    | some order => order.toArray
-    | none => #[]
+  let order := gr.topologicalSort
+  let steps : Array AnimationStep ← match order with
+    | some order => pure (topoSortSteps gr order)
+    | none => do
+      let cycle := gr.findCycle.getD []
+      logWarning m!"No topological order: the graph has a cycle ({" → ".intercalate cycle}); the widget shows its cycles"
+      pure #[{ nodes := cycle.toArray
+               caption := some s!"No topological order: the graph has a cycle ({" → ".intercalate cycle})" }]
+  let key ← widgetStateKey stx gr.name
   liftCoreM <| Widget.savePanelWidgetInfo
     (hash DotVisualization.javascript)
     (return (← rpcEncode ({
       dotSource := dotStr
-      animationOrder := some topoOrder
+      animationSteps := some steps
+      cycleMode := if order.isSome then none else some true
+      stateKey := key
     } : DotVisualizationProps)))
     stx
 
+/-! ## BFS Visualization -/
+
+/-- Render a graph with a level-by-level BFS animation from a start node.
+
+Usage: {lit}`#dot_bfs myGraph "start"`
+-/
+syntax (name := showDotBfsCmd) "#dot_bfs " term:max str : command
+
+/-- Command elaborator for {lit}`#dot_bfs`. -/
+@[command_elab showDotBfsCmd]
+unsafe def elabShowDotBfsCmd : CommandElab := fun
+  | stx@`(#dot_bfs $g:term $start:str) => do
+    let gr ← liftTermElabM do
+      let e ← elabTerm g (some (Lean.mkConst ``Graph))
+      Lean.Meta.evalExpr' Graph ``Graph e
+    let key ← widgetStateKey stx gr.name
+    liftCoreM <| Widget.savePanelWidgetInfo
+      (hash DotVisualization.javascript)
+      (return (← rpcEncode ({
+        dotSource := gr.toDot
+        animationSteps := some (bfsSteps gr start.getString)
+        stateKey := key
+      } : DotVisualizationProps)))
+      stx
+  | stx => throwError "Unexpected syntax {stx}."
+
 /-! ## Expression Presenter -/
 
 /-- Evaluate Graph.toDot using runtime evaluation. -/
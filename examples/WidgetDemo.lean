@@ -125,6 +125,35 @@ def dagGraph := dot {
 -- Click "Animate" to see topological traversal: A → B → C → D → E
 #dot_topo dagGraph
 
+-- BFS from A, one level per step: {A}, {B, C}, {D}, {E}
+#dot_bfs dagGraph "A"
+
+/-- Not quite a DAG: {lit}`E → B` closes a cycle. -/
+def almostDag := dot {
+  digraph "AlmostDAG"
+
+  node "A"
+  node "B"
+  node "C"
+  node "D"
+  node "E"
+  node "F"
+
+  edge "A" → "B"
+  edge "B" → "C"
+  edge "C" → "D"
+  edge "D" → "E"
+  edge "E" → "B"
+  edge "A" → "F"
+}
+
+-- No topological order: the widget opens in its cycle view, with the
+-- component {B, C, D, E} colored and the closing edge E → B dashed
+#dot_topo almostDag
+
+-- Both graphs in one widget: switch with the tabs or ‹ ›, or ⊞ Grid for thumbnails
+#dot_gallery [dagGraph, almostDag]
+
 /-! ## Unquoted Identifiers
 
 Node names, graph names, and cluster names can be unquoted identifiers:
@@ -219,6 +248,25 @@ Comprehensive graph analysis algorithms.
 #eval IO.println s!"Roots: {dagGraph.roots}"
 #eval IO.println s!"Leaves: {dagGraph.leaves}"
 
+/-! ## Editing From the Widget
+
+Graphs written inline as {lit}`#dot dot { ... }` carry their source ranges:
+double-click an element to jump to it, rename or delete it from the inspector,
+or use 🔗 Connect and drag between nodes to add an edge to the block below.
+-/
+
+#dot dot {
+  digraph "Editable"
+  rankdir "LR"
+
+  node "draft" label="Draft"
+  node "review" label="Review"
+  node "done" label="Done"
+
+  edge "draft" → "review"
+  edge "review" → "done"
+}
+
 /-! ## Graph Templates
 
 Pre-configured graph types for common use cases.
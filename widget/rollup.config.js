@@ -1,9 +1,43 @@
+import { rollup } from 'rollup';
 import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 import replace from '@rollup/plugin-replace';
 import { babel } from '@rollup/plugin-babel';
 import terser from '@rollup/plugin-terser';
 
+const WORKER_SUFFIX = '?worker';
+const WORKER_PREFIX = '\0worker:';
+
+// Bundle `import source from './x.js?worker'` separately as a self-contained
+// script and inline it as a string, so the widget stays a single file that can
+// start the worker from a Blob URL.
+function inlineWorker() {
+  return {
+    name: 'inline-worker',
+    async resolveId(source, importer) {
+      if (!source.endsWith(WORKER_SUFFIX)) return null;
+      const resolved = await this.resolve(source.slice(0, -WORKER_SUFFIX.length), importer, { skipSelf: true });
+      return resolved && `${WORKER_PREFIX}${resolved.id}`;
+    },
+    async load(id) {
+      if (!id.startsWith(WORKER_PREFIX)) return null;
+      const bundle = await rollup({
+        input: id.slice(WORKER_PREFIX.length),
+        plugins: [
+          // Workers have no document for Rollup's default import.meta.url shim
+          { name: 'worker-import-meta', resolveImportMeta: (prop) => (prop === 'url' ? 'self.location.href' : null) },
+          resolve({ browser: true, preferBuiltins: false }),
+          commonjs(),
+          terser(),
+        ],
+      });
+      const { output } = await bundle.generate({ format: 'iife' });
+      await bundle.close();
+      return `export default ${JSON.stringify(output[0].code)};`;
+    },
+  };
+}
+
 export default {
   input: 'src/dotVisualization.jsx',
   output: {
@@ -13,6 +47,7 @@ export default {
   },
   external: ['react', 'react-dom', 'react/jsx-runtime', '@leanprover/infoview'],
   plugins: [
+    inlineWorker(),
     replace({
       'process.env.NODE_ENV': JSON.stringify('production'),
       preventAssignment: true,
@@ -20,6 +55,7 @@ export default {
     resolve({
       browser: true,
       preferBuiltins: false,
+      extensions: ['.js', '.jsx'],
     }),
     commonjs(),
     babel({
@@ -0,0 +1,60 @@
+// Keyboard and screen-reader support for the rendered graph.
+//
+// Nodes use a roving tabindex: the graph is one Tab stop (the last focused node)
+// and the arrow keys move along edges from there, so a large graph doesn't turn
+// into hundreds of Tab stops.
+
+import { degrees, nextNodes } from './graphAlgorithms';
+import { neighborsOf } from './graphModel';
+
+// Accessible name of a node: its label, its ID if different, and its degree
+export function describeNode(model, node, degree) {
+  const name = node.label && node.label !== node.name ? `${node.label} (${node.name})` : node.name;
+  if (!degree) return name;
+  if (!model.directed) {
+    const n = degree.in + degree.out;
+    return `${name}, ${n} edge${n === 1 ? '' : 's'}`;
+  }
+  return `${name}, ${degree.in} incoming, ${degree.out} outgoing`;
+}
+
+// Give the rendered SVG and its nodes roles and labels, and make every node
+// focusable by script (tabindex -1); see setTabStop for the one Tab stop
+export function makeAccessible(svg, model) {
+  svg.setAttribute('role', 'group');
+  svg.setAttribute('aria-roledescription', 'graph');
+  svg.setAttribute('aria-label',
+    `${model.directed ? 'Directed graph' : 'Graph'} with ${model.nodes.size} nodes and ${model.edges.length} edges. ` +
+    'Arrow keys follow edges, Enter selects, Alt+Enter goes to source, Escape clears.');
+  const degree = degrees(model);
+  model.nodes.forEach(node => {
+    const el = node.svgId && svg.getElementById(node.svgId);
+    if (!el) return;
+    el.setAttribute('role', 'button');
+    el.setAttribute('aria-roledescription', 'node');
+    el.setAttribute('aria-label', describeNode(model, node, degree.get(node.name)));
+    el.setAttribute('tabindex', '-1');
+  });
+  // Graphviz's <title> elements would be read as well as the labels
+  svg.querySelectorAll('g.edge, g.cluster').forEach(g => g.setAttribute('aria-hidden', 'true'));
+}
+
+// Make the node `name` (or the first node, if it isn't in the graph) the Tab stop
+export function setTabStop(svg, model, name) {
+  const target = model.nodes.get(name) || model.nodes.get(model.nodeOrder[0]);
+  svg.querySelectorAll('g.node[tabindex="0"]').forEach(el => el.setAttribute('tabindex', '-1'));
+  if (target?.svgId) svg.getElementById(target.svgId)?.setAttribute('tabindex', '0');
+}
+
+// Nodes the arrow keys can move to from `name`: successors (forward) or
+// predecessors (backward), in the graph's node order
+export function stepTargets(model, name, forward) {
+  let targets;
+  if (!model.directed) {
+    targets = new Set(nextNodes(model, name));
+  } else {
+    const { predecessors, successors } = neighborsOf(model, name);
+    targets = forward ? successors : predecessors;
+  }
+  return model.nodeOrder.filter(n => targets.has(n) && n !== name);
+}
@@ -0,0 +1,75 @@
+// Player for the animation steps: step, play/pause, seek and speed, with the
+// current step's caption
+
+import React from 'react';
+import { buttonStyle } from './theme';
+
+export function AnimationPlayer({
+  theme, animationSteps, animationStep, playing, animationSpeed,
+  stepAnimation, togglePlaying, seekAnimation, setAnimationSpeed
+}) {
+  return (
+    <div style={{
+      padding: '4px 8px',
+      marginBottom: '8px',
+      backgroundColor: theme.widgetBackground,
+      borderRadius: '4px',
+      fontSize: '11px',
+      color: theme.foreground
+    }}>
+      <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+        <button onClick={() => stepAnimation(-animationSteps.length)} style={buttonStyle(theme)} title="First step">
+          ⏮
+        </button>
+        <button onClick={() => stepAnimation(-1)} disabled={animationStep === 0} style={buttonStyle(theme)} title="Previous step">
+          ◀
+        </button>
+        <button onClick={togglePlaying} style={buttonStyle(theme, playing)} title={playing ? 'Pause' : 'Play'}>
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button
+          onClick={() => stepAnimation(1)}
+          disabled={animationStep >= animationSteps.length - 1}
+          style={buttonStyle(theme)}
+          title="Next step"
+        >
+          ▶|
+        </button>
+        <button onClick={() => stepAnimation(animationSteps.length)} style={buttonStyle(theme)} title="Last step">
+          ⏭
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={animationSteps.length - 1}
+          value={animationStep}
+          onChange={(e) => seekAnimation(Number(e.target.value))}
+          style={{ flex: 1, minWidth: '80px' }}
+          aria-label="Animation step"
+        />
+        <span style={{ minWidth: '64px', textAlign: 'center', opacity: 0.7 }}>
+          {animationStep + 1} / {animationSteps.length}
+        </span>
+        <select
+          value={animationSpeed}
+          onChange={(e) => setAnimationSpeed(Number(e.target.value))}
+          title="Playback speed"
+          style={{
+            fontSize: '11px',
+            backgroundColor: theme.inputBackground,
+            color: theme.foreground,
+            border: `1px solid ${theme.border}`,
+            borderRadius: '3px'
+          }}
+        >
+          {[0.25, 0.5, 1, 2, 4].map(x => <option key={x} value={x}>{x}×</option>)}
+        </select>
+      </div>
+      {animationSteps[animationStep]?.caption && (
+        <div role="status" style={{ marginTop: '4px' }}>
+          {animationSteps[animationStep].caption}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+// Collapsing clusters into single summary nodes.
+//
+// A collapsed cluster is replaced by one node (in the cluster's parent) and every
+// edge into or out of its members is rerouted to that node. Parallel rerouted
+// edges are merged into one labelled with their count ("×4").
+
+// Attribute marking summary nodes, so a click on one can expand the cluster again
+export const SUMMARY_ATTRIBUTE = 'dot4_cluster';
+
+export function summaryNodeName(clusterName) {
+  return `cluster:${clusterName}`;
+}
+
+// Attributes that only make sense on the original endpoints
+const ENDPOINT_ATTRIBUTES = ['tailport', 'headport', 'ltail', 'lhead', 'samehead', 'sametail'];
+
+function withoutEndpointAttributes(attributes) {
+  const rest = { ...attributes };
+  for (const name of ENDPOINT_ATTRIBUTES) delete rest[name];
+  return rest;
+}
+
+// Options for modelToDot that collapse `collapsed` (cluster names) in `model`.
+// `options` may already restrict the nodes (e.g. the search filter); they're
+// passed through and extended.
+export function collapseClusters(model, collapsed, options = {}) {
+  const keep = options.nodes || new Set(model.nodes.keys());
+
+  // Only the outermost collapsed cluster matters when nested ones are collapsed too
+  const isCollapsed = new Set(collapsed.filter(name => model.clusters.has(name)));
+  const outermost = (name) => {
+    let result = null;
+    for (let c = name; c; c = model.clusters.get(c)?.parent) {
+      if (isCollapsed.has(c)) result = c;
+    }
+    return result;
+  };
+
+  // Representative of each kept node: itself, or the summary node of its cluster
+  const representative = new Map();
+  const members = new Map(); // collapsed cluster -> member count
+  for (const name of keep) {
+    const node = model.nodes.get(name);
+    const cluster = node?.cluster ? outermost(node.cluster) : null;
+    if (cluster) {
+      representative.set(name, summaryNodeName(cluster));
+      members.set(cluster, (members.get(cluster) || 0) + 1);
+    } else {
+      representative.set(name, name);
+    }
+  }
+  if (members.size === 0) return options;
+
+  const extraNodes = [...(options.extraNodes || [])];
+  for (const [name, count] of members) {
+    const cluster = model.clusters.get(name);
+    const fill = cluster.attributes.fillcolor || cluster.attributes.bgcolor;
+    extraNodes.push({
+      name: summaryNodeName(name),
+      cluster: cluster.parent, // never itself collapsed: this is the outermost one
+      attributes: {
+        label: `${cluster.label || name}\\n(${count} node${count === 1 ? '' : 's'})`,
+        shape: 'box3d',
+        style: fill ? 'filled' : '',
+        fillcolor: fill || '',
+        tooltip: `Collapsed cluster ${name} (click to expand)`,
+        [SUMMARY_ATTRIBUTE]: name
+      }
+    });
+  }
+
+  // Edges between uncollapsed nodes stay as they are; the rest are rerouted and merged
+  const keepEdge = options.edges || (e => keep.has(e.tail) && keep.has(e.head));
+  const merged = new Map(); // "tail\0head" -> { tail, head, attributes, count }
+  for (const edge of model.edges) {
+    if (!keepEdge(edge)) continue;
+    const tail = representative.get(edge.tail);
+    const head = representative.get(edge.head);
+    if (tail === edge.tail && head === edge.head) continue;
+    if (tail === head) continue; // internal to a collapsed cluster
+    const key = `${tail}\u0000${head}`;
+    const entry = merged.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      merged.set(key, { tail, head, attributes: withoutEndpointAttributes(edge.attributes), count: 1 });
+    }
+  }
+  const extraEdges = [...(options.extraEdges || [])];
+  for (const { tail, head, attributes, count } of merged.values()) {
+    extraEdges.push({
+      tail,
+      head,
+      attributes: count > 1 ? { ...attributes, label: `×${count}`, penwidth: String(Math.min(1 + count / 2, 5)) } : attributes
+    });
+  }
+
+  return {
+    ...options,
+    nodes: new Set([...keep].filter(name => representative.get(name) === name)),
+    edges: (e) => keepEdge(e) && representative.get(e.tail) === e.tail && representative.get(e.head) === e.head,
+    extraNodes,
+    extraEdges
+  };
+}
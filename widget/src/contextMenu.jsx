@@ -0,0 +1,69 @@
+// Context menu of a node, an edge or the graph background
+
+import React from 'react';
+
+// `contextMenu` is { x, y, hit } with `hit` the element clicked (null for the
+// background); `items` are { label, action, disabled }, with null for separators
+export function ContextMenu({ theme, menuRef, contextMenu, items, menuIndex, setMenuIndex, onMenuKeyDown, closeMenu }) {
+  return (
+    <div
+      ref={menuRef}
+      role="menu"
+      tabIndex={-1}
+      aria-label={contextMenu.hit
+        ? `${contextMenu.hit.kind === 'node' ? 'Node' : 'Edge'} ${contextMenu.hit.kind === 'node' ? contextMenu.hit.item.name : contextMenu.hit.item.id}`
+        : 'Graph'}
+      onKeyDown={onMenuKeyDown}
+      style={{
+        position: 'absolute',
+        left: `${contextMenu.x}px`,
+        top: `${contextMenu.y}px`,
+        minWidth: '180px',
+        padding: '4px 0',
+        backgroundColor: theme.widgetBackground,
+        border: `1px solid ${theme.border}`,
+        borderRadius: '4px',
+        boxShadow: theme.shadow,
+        fontSize: '12px',
+        color: theme.foreground,
+        outline: 'none',
+        zIndex: 20
+      }}
+    >
+      {contextMenu.hit && (
+        <div style={{ padding: '2px 12px 4px', opacity: 0.7, fontFamily: 'monospace', whiteSpace: 'nowrap' }}>
+          {contextMenu.hit.kind === 'node' ? contextMenu.hit.item.name : contextMenu.hit.item.id}
+        </div>
+      )}
+      {items.map((item, i) => (item === null ? (
+        <div key={i} role="separator" style={{ height: '1px', margin: '4px 0', backgroundColor: theme.border }} />
+      ) : (
+        <button
+          key={i}
+          data-index={i}
+          role="menuitem"
+          disabled={!!item.disabled}
+          title={item.disabled || undefined}
+          onClick={() => { closeMenu(); item.action(); }}
+          onMouseEnter={() => setMenuIndex(i)}
+          onFocus={() => setMenuIndex(i)}
+          style={{
+            display: 'block',
+            width: '100%',
+            padding: '4px 12px',
+            textAlign: 'left',
+            border: 'none',
+            outline: 'none',
+            font: 'inherit',
+            color: 'inherit',
+            backgroundColor: menuIndex === i && !item.disabled ? theme.activeBackground : 'transparent',
+            opacity: item.disabled ? 0.5 : 1,
+            cursor: item.disabled ? 'default' : 'pointer'
+          }}
+        >
+          {item.label}
+        </button>
+      )))}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+// Cycle view panel: the strongly connected components with cycles in their
+// overlay colors, and the cycles found in them to step through
+
+import React from 'react';
+import { buttonStyle } from './theme';
+import { COMPONENT_COLORS } from './overlays';
+
+// `cycleInfo` is { components, closing, cycles, complete, listed }; large graphs
+// aren't `listed`, so only their components are shown
+export function CyclePanel({ theme, cycleInfo, cycleIndex, setCycleIndex, stepCycle, currentCycle, closeCycles }) {
+  return (
+    <div style={{
+      marginTop: '8px',
+      padding: '8px',
+      backgroundColor: theme.widgetBackground,
+      borderRadius: '4px',
+      fontSize: '12px',
+      color: theme.foreground
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '6px' }}>
+        <strong>Cycles</strong>
+        <span style={{ opacity: 0.7 }}>
+          {cycleInfo.components.length} strongly connected component{cycleInfo.components.length === 1 ? '' : 's'} with
+          cycles, {cycleInfo.closing.length} edge{cycleInfo.closing.length === 1 ? '' : 's'} closing them (dashed)
+        </span>
+        <span style={{ flex: 1 }} />
+        {cycleInfo.listed && (
+          <>
+            <button onClick={() => stepCycle(-1)} disabled={cycleInfo.cycles.length < 2} style={buttonStyle(theme)} title="Previous cycle">
+              ‹
+            </button>
+            <span style={{ fontSize: '11px' }}>
+              {Math.min(cycleIndex, cycleInfo.cycles.length - 1) + 1} of {cycleInfo.cycles.length}
+              {cycleInfo.complete ? '' : '+'}
+            </span>
+            <button onClick={() => stepCycle(1)} disabled={cycleInfo.cycles.length < 2} style={buttonStyle(theme)} title="Next cycle">
+              ›
+            </button>
+          </>
+        )}
+        <button onClick={closeCycles} style={buttonStyle(theme)} title="Hide the cycle view">
+          ✕
+        </button>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginBottom: '6px', fontFamily: 'monospace' }}>
+        {cycleInfo.components.map((members, i) => (
+          <span key={i} title={members.join(', ')}>
+            <span style={{
+              display: 'inline-block',
+              width: '8px',
+              height: '8px',
+              marginRight: '4px',
+              borderRadius: '2px',
+              backgroundColor: COMPONENT_COLORS[i % COMPONENT_COLORS.length]
+            }} />
+            {members.length > 6 ? `${members.slice(0, 6).join(', ')}, … (${members.length})` : members.join(', ')}
+          </span>
+        ))}
+      </div>
+      {cycleInfo.listed ? (
+        <div role="listbox" aria-label="Cycles" style={{ maxHeight: '160px', overflowY: 'auto', fontFamily: 'monospace' }}>
+          {cycleInfo.cycles.map((cycle, i) => (
+            <div
+              key={i}
+              role="option"
+              aria-selected={cycle === currentCycle}
+              onClick={() => setCycleIndex(i)}
+              style={{
+                padding: '1px 4px',
+                cursor: 'pointer',
+                backgroundColor: cycle === currentCycle ? theme.activeBackground : 'transparent'
+              }}
+            >
+              {[...cycle, cycle[0]].join(' → ')}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ opacity: 0.7 }}>Cycles aren't listed in large-graph mode</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// Graphviz errors and warnings, tied back to the DOT text and the graph
+// elements they are about.
+//
+// Graphviz reports problems as plain messages. Some name a line ("syntax error
+// in line 3 near '->'"), some a node ("node b, port foo unrecognized"), and some
+// only the offending value ("using box for unknown shape blah"). Each message is
+// located as well as possible: its line, a snippet around it, and the node or
+// edge (by widget ID) declared on that line.
+
+import { edgeId } from './graphModel';
+
+const SNIPPET_CONTEXT = 2; // lines before and after
+
+// A DOT ID: quoted string or bare word
+const ID = String.raw`("(?:[^"\\]|\\.)*"|[\w.]+)`;
+const PORT = String.raw`(?::(?:"(?:[^"\\]|\\.)*"|[\w.]+))*`;
+const EDGE_LINE = new RegExp(String.raw`^\s*${ID}${PORT}\s*(?:->|--)\s*${ID}`);
+const NODE_LINE = new RegExp(String.raw`^\s*${ID}\s*(?:\[|;|$)`);
+const KEYWORDS = new Set(['node', 'edge', 'graph', 'digraph', 'subgraph', 'strict']);
+
+const unquote = (id) => (id.startsWith('"') ? id.slice(1, -1).replace(/\\"/g, '"') : id);
+
+// The node or edge declared on a DOT line, as a widget element ID
+export function elementOnLine(line) {
+  const edge = EDGE_LINE.exec(line);
+  if (edge) return edgeId(unquote(edge[1]), unquote(edge[2]));
+  const node = NODE_LINE.exec(line);
+  if (node && !KEYWORDS.has(node[1].toLowerCase())) return unquote(node[1]);
+  return null;
+}
+
+// Values a message complains about, to look for in the DOT text
+function suspects(message) {
+  const found = [];
+  const quoted = /"([^"]+)"/g;
+  let m;
+  while ((m = quoted.exec(message))) found.push(m[1]);
+  const patterns = [
+    /unknown shape (\S+)/, /^(\S+) is not a known color/, /unknown (?:attribute|value) "?([^"\s]+)/,
+    /port (\S+) unrecognized/, /near '([^']+)'/
+  ];
+  for (const p of patterns) {
+    const hit = p.exec(message);
+    if (hit) found.push(hit[1]);
+  }
+  return found;
+}
+
+// Merge continuation messages (e.g. the "... x</i> ..." and "in label of node a"
+// lines that follow an HTML label error) into the message they continue
+function groupMessages(errors) {
+  const groups = [];
+  for (const e of errors) {
+    const last = groups[groups.length - 1];
+    const continues = /^(\.\.\.|in label of )/.test(e.message) && last && last.level === e.level;
+    if (continues) last.message += `\n${e.message}`;
+    else groups.push({ level: e.level || 'error', message: e.message });
+  }
+  return groups;
+}
+
+// Locate Graphviz `errors` ([{ level, message }]) in `dotSource`. Returns
+// [{ level, message, line, elementId, snippet: [{ number, text, current }] }],
+// with `line` 1-based or null when it can't be found.
+export function locateDiagnostics(errors, dotSource) {
+  const lines = (dotSource || '').split('\n');
+  return groupMessages(errors).map(({ level, message }) => {
+    // Line numbers in HTML label errors count lines of the label, not the file
+    let line = null;
+    const lineMatch = /line (\d+)/i.exec(message);
+    if (lineMatch && !/in label of /.test(message)) line = Number(lineMatch[1]);
+
+    // A message naming a node ("node b, ...", "in label of node a")
+    let elementId = null;
+    const nodeMatch = /\bnode "?([^",\s]+)"?/.exec(message);
+    if (nodeMatch) elementId = nodeMatch[1];
+
+    if (line === null) {
+      for (const value of suspects(message)) {
+        const index = lines.findIndex(text => text.includes(value));
+        if (index >= 0) {
+          line = index + 1;
+          break;
+        }
+      }
+    }
+    if (line === null && elementId !== null) {
+      const index = lines.findIndex(text => elementOnLine(text) === elementId);
+      if (index >= 0) line = index + 1;
+    }
+    if (line !== null && (line < 1 || line > lines.length)) line = null;
+    if (line !== null && elementId === null) elementId = elementOnLine(lines[line - 1]);
+
+    const snippet = [];
+    if (line !== null) {
+      const first = Math.max(1, line - SNIPPET_CONTEXT);
+      const last = Math.min(lines.length, line + SNIPPET_CONTEXT);
+      for (let n = first; n <= last; n++) snippet.push({ number: n, text: lines[n - 1], current: n === line });
+    }
+    return { level, message, line, elementId, snippet };
+  });
+}
@@ -0,0 +1,155 @@
+// Just enough of the DOT language to read things Graphviz's JSON output loses
+// or that are needed before a layout exists.
+
+import { edgeId } from './graphModel';
+
+// DOT tokens: { id } for IDs (quoted strings without their quotes, `bare` for
+// unquoted ones, `html` for HTML strings without their outer <>), { op } for
+// `->`/`--` (op 'edge') and other punctuation. Comments and whitespace are skipped.
+export function* tokens(dot) {
+  const n = dot.length;
+  let i = 0;
+  while (i < n) {
+    const c = dot[i];
+    if (/\s/.test(c) || c === ',' || c === ';') {
+      i++;
+    } else if (c === '/' && dot[i + 1] === '/') {
+      while (i < n && dot[i] !== '\n') i++;
+    } else if (c === '#' && (i === 0 || dot[i - 1] === '\n')) {
+      while (i < n && dot[i] !== '\n') i++;
+    } else if (c === '/' && dot[i + 1] === '*') {
+      const end = dot.indexOf('*/', i + 2);
+      i = end < 0 ? n : end + 2;
+    } else if (c === '"') {
+      let j = i + 1;
+      while (j < n && dot[j] !== '"') j += dot[j] === '\\' ? 2 : 1;
+      yield { id: dot.slice(i + 1, j) };
+      i = j + 1;
+    } else if (c === '<') {
+      let depth = 0;
+      let j = i;
+      do {
+        if (dot[j] === '<') depth++;
+        else if (dot[j] === '>') depth--;
+        j++;
+      } while (j < n && depth > 0);
+      yield { id: dot.slice(i + 1, j - 1), html: true };
+      i = j;
+    } else if (c === '-' && (dot[i + 1] === '>' || dot[i + 1] === '-')) {
+      yield { op: 'edge' };
+      i += 2;
+    } else if (/[\w.\u0080-￿-]/.test(c)) {
+      let j = i + 1;
+      while (j < n && /[\w.\u0080-￿]/.test(dot[j])) j++;
+      yield { id: dot.slice(i, j), bare: true };
+      i = j;
+    } else {
+      yield { op: c };
+      i++;
+    }
+  }
+}
+
+// Attributes whose value can be an HTML string
+export const LABEL_ATTRIBUTES = new Set(['label', 'xlabel', 'headlabel', 'taillabel']);
+
+// The HTML strings given to label attributes in a DOT source (as Graphviz reports
+// them: without the outer <>). Graphviz's JSON output writes HTML and quoted
+// labels alike, so this is how a label written back out keeps its kind.
+export function htmlLabels(dot) {
+  const labels = new Set();
+  let name = null;
+  let equals = false;
+  for (const token of tokens(dot)) {
+    if (token.html && equals && LABEL_ATTRIBUTES.has(name)) labels.add(token.id);
+    equals = token.op === '=';
+    if (!equals) name = token.id !== undefined ? token.id : null;
+  }
+  return labels;
+}
+
+const isKeyword = (token, word) => token?.bare && token.id.toLowerCase() === word;
+
+// The attributes each node and edge of a DOT source sets itself rather than
+// taking from the root graph's `node [...]` / `edge [...]` defaults: the ones in
+// its own attribute lists and in the defaults of the subgraphs it's created in.
+// Returns { nodes, edges }, maps from node name and from edge key (as in the
+// graph model) to a Set of attribute names. Edges to or from a subgraph aren't
+// followed.
+export function ownAttributes(dot) {
+  const list = [...tokens(dot)];
+  const nodes = new Map();
+  const edges = new Map();
+  const seen = new Map(); // edge id -> edges so far
+  const scopes = []; // defaults set in the enclosing subgraphs: { node, edge }
+  const inherited = (kind) => scopes.flatMap(scope => [...scope[kind]]);
+  let i = 0;
+
+  // Attribute names in the [...] lists at i
+  const attributeNames = () => {
+    const names = [];
+    while (list[i]?.op === '[') {
+      for (i++; i < list.length && list[i].op !== ']'; i++) {
+        if (list[i].id !== undefined && list[i + 1]?.op === '=') names.push(list[i++].id);
+      }
+      i++;
+    }
+    return names;
+  };
+  // A node ID, skipping its :port:compass
+  const nodeRef = () => {
+    const name = list[i++].id;
+    while (list[i]?.op === ':' && list[i + 1]?.id !== undefined) i += 2;
+    if (!nodes.has(name)) nodes.set(name, new Set(inherited('node')));
+    return name;
+  };
+
+  // Skip to the body of the graph
+  while (i < list.length && list[i].op !== '{') i++;
+  i++;
+  while (i < list.length) {
+    const token = list[i];
+    if (token.op === '{' || isKeyword(token, 'subgraph')) {
+      if (isKeyword(token, 'subgraph')) i++;
+      if (list[i]?.id !== undefined) i++;
+      if (list[i]?.op === '{') i++;
+      scopes.push({ node: new Set(), edge: new Set() });
+    } else if (token.op === '}') {
+      i++;
+      if (scopes.length === 0) break;
+      scopes.pop();
+      // The rest of an edge statement from a subgraph
+      while (list[i]?.op === 'edge' && list[i + 1]?.id !== undefined) {
+        i++;
+        nodeRef();
+      }
+      attributeNames();
+    } else if (isKeyword(token, 'node') || isKeyword(token, 'edge') || isKeyword(token, 'graph')) {
+      i++;
+      const names = attributeNames();
+      const scope = scopes[scopes.length - 1];
+      if (scope && token.id.toLowerCase() !== 'graph') names.forEach(name => scope[token.id.toLowerCase()].add(name));
+    } else if (token.id !== undefined && list[i + 1]?.op === '=') {
+      i += 3; // graph attribute
+    } else if (token.id !== undefined) {
+      const chain = [nodeRef()];
+      while (list[i]?.op === 'edge' && list[i + 1]?.id !== undefined) {
+        i++;
+        chain.push(nodeRef());
+      }
+      const names = attributeNames();
+      if (chain.length === 1) {
+        names.forEach(name => nodes.get(chain[0]).add(name));
+      }
+      for (let k = 0; k + 1 < chain.length; k++) {
+        const id = edgeId(chain[k], chain[k + 1]);
+        const n = seen.get(id) || 0;
+        seen.set(id, n + 1);
+        edges.set(n === 0 ? id : `${id}#${n}`, new Set([...inherited('edge'), ...names]));
+      }
+    } else {
+      i++;
+    }
+  }
+  return { nodes, edges };
+}
@@ -1,30 +1,345 @@
 import React, { useEffect, useRef, useState, useCallback, useMemo, useContext } from 'react';
-import { instance } from '@viz-js/viz';
 import { EditorContext } from '@leanprover/infoview';
+import { EMPTY_MODEL, neighborsOf, elementFor, nodesWithin } from './graphModel';
+import { modelToDot } from './dotWriter';
+import { ownAttributes } from './dotSyntax';
+import {
+  shortestPaths, edgesAlong, cyclicComponents, cycleClosingEdges, findCycles
+} from './graphAlgorithms';
+import { collapseClusters, SUMMARY_ATTRIBUTE } from './clusters';
+import { makeAccessible, setTabStop, stepTargets } from './accessibility';
+import { animateTransition, prefersReducedMotion } from './transitions';
+import { COLOR_MODES, readTheme, watchTheme, styleGraph, graphBackground, buttonStyle } from './theme';
+import { graphFileName, buildExportSvg, svgToPng, download, copyToClipboard } from './exporting';
+import {
+  createLayoutRunner, layoutKey as layoutKeyOf, svgElementFrom,
+  LayoutCancelledError, LayoutTimeoutError, GraphvizError, DEFAULT_LAYOUT_TIMEOUT
+} from './layout';
+import { locateDiagnostics } from './diagnostics';
+import { inspectElement, selectedElement } from './inspector';
+import { EDGE_ROUTING, nodePositions, pinnedLayoutDot, relayoutAroundPinsDot } from './manualLayout';
+import { renameLabelEdits, deleteEdgeEdits, deleteNodeEdits, addEdgeEdits, applyEdits } from './sourceEdits';
+import { installOverlayStyles, setOverlay, addClass, COMPONENT_COLORS } from './overlays';
+import { METRICS, computeMetric } from './metrics';
+import { renderThumbnails } from './gallery';
+import { NO_OVERRIDES, activeOverrides, withOverrides } from './layoutOptions';
+import { loadViewState, saveViewState, clearViewState, hashString } from './persistence';
+import {
+  DEFAULT_LARGE_GRAPH_THRESHOLD, LOD_MIN_SCALE, isLargeGraph, isHugeGraph, countElements
+} from './largeGraph';
+import { AnimationPlayer } from './animationPlayer';
+import { SearchBar } from './searchBar';
+import { FocusBar } from './focusBar';
+import { GalleryBar, GalleryGrid } from './galleryView';
+import { OptionsPanel } from './optionsPanel';
+import { PathFinder } from './pathFinder';
+import { MetricsPanel } from './metricsPanel';
+import { CyclePanel } from './cyclePanel';
+import { InspectorPanel } from './inspectorPanel';
+import { ExportMenu } from './exportMenu';
+import { ContextMenu } from './contextMenu';
 
 // Layout engines available in Graphviz
 const ENGINES = ['dot', 'neato', 'fdp', 'sfdp', 'circo', 'twopi', 'osage', 'patchwork'];
 
+// Pan/zoom limits, relative to the fitted view
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 20;
+const MAX_VIEWPORT_HEIGHT = 500; // px
+const DRAG_THRESHOLD = 3; // px before a press turns into a pan
+const PT_TO_PX = 4 / 3;
+
+// Cycles listed in the cycle view; there can be exponentially many
+const CYCLE_LIMIT = 100;
+// Paths offered by the path finder (only the shortest one in large-graph mode)
+const PATH_LIMIT = 50;
+
+// Read an SVG viewBox as { x, y, w, h }
+function parseViewBox(svg) {
+  const [x, y, w, h] = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  if ([x, y, w, h].some(Number.isNaN) || !w || !h) {
+    const box = svg.getBBox();
+    return { x: box.x, y: box.y, w: box.width || 1, h: box.height || 1 };
+  }
+  return { x, y, w, h };
+}
+
+function formatViewBox(vb) {
+  return `${vb.x} ${vb.y} ${vb.w} ${vb.h}`;
+}
+
+// Scale a viewBox by `factor` around the point (cx, cy), clamped to the zoom limits
+function zoomViewBox(vb, base, factor, cx, cy) {
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, (base.w / vb.w) * factor));
+  const w = base.w / zoom;
+  const h = base.h / zoom;
+  return {
+    x: cx - (cx - vb.x) * (w / vb.w),
+    y: cy - (cy - vb.y) * (h / vb.h),
+    w,
+    h
+  };
+}
+
+// Convert client (screen) coordinates to SVG user coordinates
+function clientToSvg(svg, clientX, clientY) {
+  const ctm = svg.getScreenCTM();
+  if (!ctm) return { x: clientX, y: clientY };
+  const pt = svg.createSVGPoint();
+  pt.x = clientX;
+  pt.y = clientY;
+  const p = pt.matrixTransform(ctm.inverse());
+  return { x: p.x, y: p.y };
+}
+
+// Client coordinates -> local coordinates of an SVG group (e.g. Graphviz's g.graph)
+function toGroupPoint(group, clientX, clientY) {
+  const ctm = group.getScreenCTM();
+  if (!ctm) return { x: clientX, y: clientY };
+  const p = new DOMPoint(clientX, clientY).matrixTransform(ctm.inverse());
+  return { x: p.x, y: p.y };
+}
+
+// Bounding box of an element inside the SVG, in SVG user coordinates
+function elementBounds(svg, el) {
+  const box = el.getBBox();
+  const svgCtm = svg.getScreenCTM();
+  const elCtm = el.getScreenCTM();
+  if (!svgCtm || !elCtm) return { x: box.x, y: box.y, w: box.width, h: box.height };
+  const m = svgCtm.inverse().multiply(elCtm);
+  const xs = [], ys = [];
+  for (const [px, py] of [[box.x, box.y], [box.x + box.width, box.y],
+                          [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]) {
+    xs.push(m.a * px + m.c * py + m.e);
+    ys.push(m.b * px + m.d * py + m.f);
+  }
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+// Build a case-insensitive matcher for the search box (plain text or regex)
+function searchMatcher(query, isRegex) {
+  if (!query) return { test: null, error: null };
+  if (!isRegex) {
+    const needle = query.toLowerCase();
+    return { test: (text) => text.toLowerCase().includes(needle), error: null };
+  }
+  try {
+    const re = new RegExp(query, 'i');
+    return { test: (text) => re.test(text), error: null };
+  } catch (err) {
+    return { test: null, error: err.message };
+  }
+}
+
+// Nodes whose ID or label match, then edges whose label matches
+function findMatches(model, test) {
+  if (!test) return [];
+  const matches = [];
+  for (const name of model.nodeOrder) {
+    const node = model.nodes.get(name);
+    if (test(name) || test(node.label)) matches.push({ kind: 'node', item: node });
+  }
+  for (const edge of model.edges) {
+    if (edge.label && test(edge.label)) matches.push({ kind: 'edge', item: edge });
+  }
+  return matches;
+}
+
+// Transform from the graph group's local coordinates to SVG user coordinates
+function graphTransform(svg) {
+  const graphGroup = svg.querySelector('g.graph');
+  const consolidated = graphGroup?.transform?.baseVal?.consolidate();
+  if (!consolidated) return (x, y) => ({ x, y });
+  const m = consolidated.matrix;
+  return (x, y) => ({ x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f });
+}
+
 export default function DotVisualization(props) {
   const containerRef = useRef(null);
   const svgRef = useRef(null);
   const minimapRef = useRef(null);
+  // View state saved for this command (see persistence.js), read once on mount;
+  // the states below start from it
+  const stateKey = props.persistState === false ? null : props.stateKey || null;
+  const [saved] = useState(() => loadViewState(stateKey));
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [selectedNode, setSelectedNode] = useState(null);
-  const [engine, setEngine] = useState(props.engine || 'dot');
-  const [animating, setAnimating] = useState(false);
-  const [highlightedNodes, setHighlightedNodes] = useState(new Set());
+  const [selectedNode, setSelectedNode] = useState(saved?.selection || null); // { type, id, key?, svgId }
+  const [engine, setEngine] = useState(saved?.engine || props.engine || 'dot');
+  // Animation player: the current step (-1 when the player is closed), whether
+  // it's playing, and the speed multiplier
+  const [animationStep, setAnimationStep] = useState(-1);
+  const [playing, setPlaying] = useState(false);
+  const [animationSpeed, setAnimationSpeed] = useState(1);
   const [hoveredNode, setHoveredNode] = useState(null);
-  const [showMinimap, setShowMinimap] = useState(true);
-  const animationRef = useRef(null);
-
-  const dotSource = props.dotSource || 'digraph { a -> b }';
+  const [showMinimap, setShowMinimap] = useState(saved?.showMinimap ?? true);
+  const [graphModel, setGraphModel] = useState(EMPTY_MODEL);
+  const [renderCount, setRenderCount] = useState(0); // bumped whenever a new SVG is mounted
+  // Model of the unfiltered source; derived graphs (e.g. the search filter) are cut from it
+  const [sourceModel, setSourceModel] = useState({ dotSource: null, model: EMPTY_MODEL });
+
+  // Search and filter
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchRegex, setSearchRegex] = useState(false);
+  const [searchIndex, setSearchIndex] = useState(0);
+  const [filterMatches, setFilterMatches] = useState(false);
+  const [filterHops, setFilterHops] = useState(1);
+  const searchNavigatedRef = useRef(false);
+
+  // Path finder between two nodes
+  const [pathStart, setPathStart] = useState(null);
+  const [pathEnd, setPathEnd] = useState(null);
+  const [pathIndex, setPathIndex] = useState(0);
+  const [pathMaxLength, setPathMaxLength] = useState(8);
+
+  // Clusters collapsed into summary nodes (by cluster name); kept across engine switches
+  const [collapsedClusters, setCollapsedClusters] = useState(() => new Set(saved?.collapsedClusters || []));
+
+  // Metrics overlay: the metric nodes are colored by (a key of METRICS, or null),
+  // whether it also scales them, and how its top-N list is sorted
+  const [metric, setMetric] = useState(saved?.metric ?? null);
+  const [metricSize, setMetricSize] = useState(saved?.metricSize ?? false);
+  const [metricTopN, setMetricTopN] = useState(10);
+  const [metricSort, setMetricSort] = useState({ by: 'value', descending: true });
+
+  // Cycle view: strongly connected components colored, cycle-closing edges
+  // outlined, and the cycles listed to step through
+  const [cycleMode, setCycleMode] = useState(saved?.cycleMode ?? (props.cycleMode || false));
+  const [cycleIndex, setCycleIndex] = useState(0);
+
+  // Layout options panel: attribute overrides tried out over the source's
+  const [layoutOverrides, setLayoutOverrides] = useState(() => ({ ...NO_OVERRIDES, ...saved?.layoutOverrides }));
+  const [showOptions, setShowOptions] = useState(saved?.showOptions ?? false);
+  const overrides = useMemo(() => activeOverrides(layoutOverrides, engine), [layoutOverrides, engine]);
+  const setOverride = (scope, name, value) =>
+    setLayoutOverrides(prev => ({ ...prev, [scope]: { ...prev[scope], [name]: value } }));
+
+  // Nodes hidden from the context menu
+  const [hiddenNodes, setHiddenNodes] = useState(() => new Set(saved?.hiddenNodes || []));
+
+  // Focus mode: the view is scoped to the nodes around one node, { node, hops,
+  // direction } as for nodesWithin. Re-focusing pushes onto the trail, so the
+  // breadcrumbs can go back; the last entry is the current scope.
+  const [focusTrail, setFocusTrail] = useState(saved?.focusTrail || []);
+  const [focusOptions, setFocusOptions] = useState(saved?.focusOptions || { hops: 1, direction: 'both' });
+  const scope = focusTrail.length > 0 ? focusTrail[focusTrail.length - 1] : null;
+  const [contextMenu, setContextMenu] = useState(null); // { x, y, hit } (hit null on the canvas)
+  const [highlightedEdge, setHighlightedEdge] = useState(null); // key of the edge whose endpoints are highlighted
+  const [menuIndex, setMenuIndex] = useState(0); // active context menu entry
+  const menuRef = useRef(null);
+
+  // Keyboard navigation: the focused node (the graph's Tab stop), the last arrow
+  // step (so Left/Right can cycle through its alternatives) and a screen-reader note
+  const [focusedNode, setFocusedNode] = useState(null);
+  const [nodeHasFocus, setNodeHasFocus] = useState(false); // keyboard focus is on focusedNode
+  const keyStepRef = useRef(null); // { from, forward, targets, index }
+  const [announcement, setAnnouncement] = useState('');
+  // The node whose neighbors are highlighted: the hovered one, else the one with
+  // keyboard focus. Only hovering hides the inspector.
+  const highlightNode = hoveredNode || (nodeHasFocus ? focusedNode : null);
+
+  // Pan/zoom state: the current viewBox plus the fitted one it is measured against
+  const [viewBox, setViewBox] = useState(null);
+  const viewBoxRef = useRef(null);
+  const baseViewBoxRef = useRef(null);
+  const layoutKeyRef = useRef(null);
+  // Saved view ({ layout, viewBox }, layout a hash of the layout key) to show
+  // instead of the fitted one when that layout comes back; the first layouts
+  // may still lack the saved collapsed clusters, focus etc., so it waits a few
+  const restoreViewRef = useRef(saved?.view ? { ...saved.view, tries: 3 } : null);
+  const pointersRef = useRef(new Map());
+  const panRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  const [panning, setPanning] = useState(false);
+  // Set to { anchor } to keep the view across the next relayout, following the
+  // node named `anchor` if the whole drawing shifts
+  const keepViewRef = useRef(null);
+
+  // Manual layout: in edit mode nodes can be dragged; the moved graph is laid
+  // out by the nop engine (see manualLayout.js) from `dot`, which applies while
+  // the graph it was made from (`from`) is the one shown
+  const [editLayout, setEditLayout] = useState(false);
+  const [connectMode, setConnectMode] = useState(false); // drag between nodes adds an edge to the source
+  const [edgeRouting, setEdgeRouting] = useState('spline');
+  const [manualLayout, setManualLayout] = useState(null); // { from, dot, engine, pinned }
+  const dragRef = useRef(null); // node being dragged, or an edge being drawn from it
+  const dragActionsRef = useRef(null); // { drop(node, pos), connect(tail, head) }, set below
+
+  // Tween between layouts when the engine or graph changes (read through a ref
+  // so that toggling it doesn't re-render the graph)
+  const [transitions, setTransitions] = useState(() => !prefersReducedMotion());
+  const transitionsRef = useRef(transitions);
+  transitionsRef.current = transitions;
+  const shownLayoutRef = useRef(null); // layout of the SVG on screen
+
+  // Export menu settings; the background follows the theme until one is picked
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportRegion, setExportRegion] = useState('all'); // 'all' | 'viewport' | 'selection'
+  const [exportBackground, setExportBackground] = useState(null); // 'transparent' | 'light' | 'dark'
+  const [exportScale, setExportScale] = useState(2);
+  const [exportHighlights, setExportHighlights] = useState(false);
+  const [exportStatus, setExportStatus] = useState(null);
+
+  // Gallery: several graphs (the `graphs` prop) shown one at a time, picked from
+  // tabs or a grid of thumbnails. The engine and colors are shared by all of them.
+  const graphs = props.graphs?.length > 0 ? props.graphs : null;
+  const [graphIndex, setGraphIndex] = useState(saved?.graphIndex ?? 0);
+  const [galleryGrid, setGalleryGrid] = useState(saved?.galleryGrid ?? false);
+  const [thumbnails, setThumbnails] = useState([]); // image URL per graph (null: layout failed)
+  const currentIndex = graphs ? Math.min(graphIndex, graphs.length - 1) : 0;
+  const currentGraph = graphs ? graphs[currentIndex] : null;
+  const stepGraph = (delta) => setGraphIndex((currentIndex + delta + graphs.length) % graphs.length);
+
+  const dotSource = currentGraph?.dotSource || props.dotSource || 'digraph { a -> b }';
+  const sourceLocationsProp = currentGraph ? currentGraph.sourceLocations : props.sourceLocations;
   const isDiff = props.isDiff || false;
-  const addedNodes = new Set(props.addedNodes || []);
-  const removedNodes = new Set(props.removedNodes || []);
-  const addedEdges = new Set(props.addedEdges || []);
-  const removedEdges = new Set(props.removedEdges || []);
+  const addedNodes = useMemo(() => new Set(props.addedNodes || []), [props.addedNodes]);
+  const removedNodes = useMemo(() => new Set(props.removedNodes || []), [props.removedNodes]);
+  const addedEdges = useMemo(() => new Set(props.addedEdges || []), [props.addedEdges]);
+  const removedEdges = useMemo(() => new Set(props.removedEdges || []), [props.removedEdges]);
+  // Modified elements: id -> [{ key, old, new }]
+  const modifiedNodes = useMemo(
+    () => new Map((props.modifiedNodes || []).map(m => [m.id, m.changes])), [props.modifiedNodes]);
+  const modifiedEdges = useMemo(
+    () => new Map((props.modifiedEdges || []).map(m => [m.id, m.changes])), [props.modifiedEdges]);
+  const [diffPopup, setDiffPopup] = useState(null); // { id, changes, x, y }
+
+  // A diff shows the merged graph (dotSource), or the old or new graph on its own
+  const [diffView, setDiffView] = useState('merged');
+  const baseSource = (isDiff && diffView === 'old' && props.oldDotSource)
+    || (isDiff && diffView === 'new' && props.newDotSource)
+    || dotSource;
+
+  const layoutTimeout = props.layoutTimeout ?? DEFAULT_LAYOUT_TIMEOUT;
+
+  // Large-graph mode (see largeGraph.js): the source's size is estimated before
+  // it is laid out, a huge one waits until it is approved, and the graph on
+  // screen is measured once it's there
+  const largeGraphThreshold = props.largeGraphThreshold ?? DEFAULT_LARGE_GRAPH_THRESHOLD;
+  const sourceSize = useMemo(() => countElements(baseSource), [baseSource]);
+  const [approvedSource, setApprovedSource] = useState(null);
+  const renderApproved = !isHugeGraph(sourceSize.total, largeGraphThreshold) || approvedSource === baseSource;
+  const shownSize = graphModel === EMPTY_MODEL ? sourceSize.total : graphModel.nodes.size + graphModel.edges.length;
+  const largeGraph = isLargeGraph(shownSize, largeGraphThreshold);
+
+  // Animation steps: `animationSteps` if given, else one node per step from
+  // `animationOrder` (or the graph's node order)
+  const animationSteps = useMemo(() => {
+    if (props.animationSteps) return props.animationSteps;
+    return (props.animationOrder || graphModel.nodeOrder).map(name => ({ nodes: [name] }));
+  }, [props.animationSteps, props.animationOrder, graphModel]);
+
+  // Off-main-thread layout: one runner (worker) per widget, plus progress state
+  const layoutRunnerRef = useRef(null);
+  const [layoutStartedAt, setLayoutStartedAt] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [layoutStopped, setLayoutStopped] = useState(null); // message when cancelled / timed out
+  const [retryCount, setRetryCount] = useState(0);
+  // Graphviz's messages for the current layout: its warnings, or everything it
+  // reported when the layout failed (see diagnostics.js)
+  const [graphvizMessages, setGraphvizMessages] = useState([]);
+  const [showWarnings, setShowWarnings] = useState(false);
 
   // Get editor connection for go-to-definition
   const editorConnection = useContext(EditorContext);
@@ -32,8 +347,8 @@ export default function DotVisualization(props) {
   // Build map from element ID to source location
   const sourceLocationMap = useMemo(() => {
     const map = new Map();
-    if (props.sourceLocations) {
-      for (const loc of props.sourceLocations) {
+    if (sourceLocationsProp) {
+      for (const loc of sourceLocationsProp) {
         map.set(loc.id, {
           uri: loc.uri,
           range: {
@@ -44,7 +359,7 @@ export default function DotVisualization(props) {
       }
     }
     return map;
-  }, [props.sourceLocations]);
+  }, [sourceLocationsProp]);
 
   // Navigate to source location on click
   const goToSource = useCallback((elementId) => {
@@ -54,350 +369,1111 @@ export default function DotVisualization(props) {
     }
   }, [sourceLocationMap, editorConnection]);
 
-  // Detect dark mode from VS Code theme
-  const isDarkMode = () => {
-    return document.body.classList.contains('vscode-dark') ||
-           document.body.getAttribute('data-vscode-theme-kind') === 'vscode-dark';
+  // Editing the Lean source from the widget (see sourceEdits.js), for graphs
+  // written as a dot { } block in the open file. `makeEdits` returns the
+  // { edits, message } of one change.
+  const sourceLocations = sourceLocationsProp || [];
+  const canEditSource = !!editorConnection && !isDiff && (sourceLocations.length > 0 || !!props.sourceBlock);
+  const [editStatus, setEditStatus] = useState(null);
+  const [renaming, setRenaming] = useState(null); // label being typed for the selected node
+  const editSource = useCallback(async (uri, makeEdits) => {
+    try {
+      const { edits, message } = makeEdits();
+      await applyEdits(editorConnection, uri, edits);
+      setEditStatus(message);
+    } catch (err) {
+      setEditStatus(err.message);
+    }
+  }, [editorConnection]);
+
+  useEffect(() => {
+    if (!editStatus) return;
+    const timer = setTimeout(() => setEditStatus(null), 4000);
+    return () => clearTimeout(timer);
+  }, [editStatus]);
+
+  // Editor theme colors (see theme.js), updated when the theme changes
+  const [theme, setTheme] = useState(readTheme);
+  useEffect(() => watchTheme(() => {
+    const next = readTheme();
+    setTheme(prev => (JSON.stringify(prev) === JSON.stringify(next) ? prev : next));
+  }), []);
+
+  // How the graph itself is colored: 'editor', 'original' or 'print'
+  const [colorMode, setColorMode] = useState(saved?.colorMode || 'editor');
+  const graphDark = colorMode === 'editor' && theme.dark;
+
+  // Update the viewBox (kept in a ref too so the render effect can reuse it)
+  const updateViewBox = useCallback((vb) => {
+    viewBoxRef.current = vb;
+    setViewBox(vb);
+  }, []);
+
+  const zoomBy = useCallback((factor, center) => {
+    const vb = viewBoxRef.current;
+    const base = baseViewBoxRef.current;
+    if (!vb || !base) return;
+    const c = center || { x: vb.x + vb.w / 2, y: vb.y + vb.h / 2 };
+    updateViewBox(zoomViewBox(vb, base, factor, c.x, c.y));
+  }, [updateViewBox]);
+
+  // Show the whole graph
+  const fitToView = useCallback(() => {
+    if (baseViewBoxRef.current) updateViewBox({ ...baseViewBoxRef.current });
+  }, [updateViewBox]);
+
+  // Engine and options of the last layout that worked. While a layout fails these
+  // are saved instead, so a bad option isn't restored with the next elaboration.
+  const laidOutRef = useRef({ engine: props.engine || 'dot', layoutOverrides: NO_OVERRIDES });
+  useEffect(() => {
+    if (renderCount > 0) laidOutRef.current = { engine, layoutOverrides };
+  }, [renderCount]);
+
+  // Save the view state under stateKey, shortly after it changes and on unmount,
+  // so the next elaboration of the command opens the widget as it was left
+  const viewStateRef = useRef(null);
+  viewStateRef.current = {
+    engine, showMinimap, colorMode, collapsedClusters, hiddenNodes, focusTrail, focusOptions,
+    metric, metricSize, cycleMode, layoutOverrides, showOptions, graphIndex, galleryGrid,
+    selection: selectedNode && { type: selectedNode.type, id: selectedNode.id, key: selectedNode.key },
+    ...(error && laidOutRef.current)
+  };
+  const saveView = useCallback(() => {
+    // A saved view that hasn't been restored yet is kept as it is
+    const pending = restoreViewRef.current;
+    const view = pending
+      ? { layout: pending.layout, viewBox: pending.viewBox }
+      : layoutKeyRef.current && viewBoxRef.current && { layout: hashString(layoutKeyRef.current), viewBox: viewBoxRef.current };
+    saveViewState(stateKey, { ...viewStateRef.current, view: view || null });
+  }, [stateKey]);
+  useEffect(() => {
+    if (!stateKey) return;
+    const timer = setTimeout(saveView, 300);
+    return () => clearTimeout(timer);
+  }, [stateKey, saveView, engine, showMinimap, colorMode, collapsedClusters, hiddenNodes, focusTrail, focusOptions,
+    metric, metricSize, cycleMode, layoutOverrides, showOptions, graphIndex, galleryGrid, selectedNode, viewBox, error]);
+  useEffect(() => saveView, [saveView]);
+
+  // Forget the saved view state and go back to the widget's defaults
+  const resetView = () => {
+    clearViewState(stateKey);
+    restoreViewRef.current = null;
+    setSelectedNode(null);
+    setEngine(props.engine || 'dot');
+    setShowMinimap(true);
+    setColorMode('editor');
+    setCollapsedClusters(new Set());
+    setHiddenNodes(new Set());
+    setFocusTrail([]);
+    setFocusOptions({ hops: 1, direction: 'both' });
+    setMetric(null);
+    setMetricSize(false);
+    setCycleMode(props.cycleMode || false);
+    setLayoutOverrides(NO_OVERRIDES);
+    setShowOptions(false);
+    setGraphIndex(0);
+    setGalleryGrid(false);
+    fitToView();
   };
 
-  const [darkMode, setDarkMode] = useState(isDarkMode());
+  // Show the graph at its natural size (1pt = 1pt), centered
+  const resetZoom = useCallback(() => {
+    const svg = svgRef.current;
+    const base = baseViewBoxRef.current;
+    if (!svg || !base) return;
+    const rect = svg.getBoundingClientRect();
+    const w = rect.width / PT_TO_PX;
+    const h = rect.height / PT_TO_PX;
+    updateViewBox({ x: base.x + (base.w - w) / 2, y: base.y + (base.h - h) / 2, w, h });
+  }, [updateViewBox]);
+
+  // Move the view so that (x, y) is at its center
+  const centerOn = useCallback((x, y) => {
+    const vb = viewBoxRef.current;
+    if (!vb) return;
+    updateViewBox({ ...vb, x: x - vb.w / 2, y: y - vb.h / 2 });
+  }, [updateViewBox]);
+
+  // Zoom to one element of the graph, given the id of its SVG group
+  const zoomToElement = useCallback((svgId) => {
+    const svg = svgRef.current;
+    const base = baseViewBoxRef.current;
+    if (!svg || !base || !svgId) return;
+    const el = svg.getElementById(svgId);
+    if (!el) return;
+    const box = elementBounds(svg, el);
+    const pad = Math.max(box.w, box.h) * 0.5 + 20;
+    const w = Math.max(box.w + pad * 2, base.w / MAX_ZOOM);
+    const h = Math.max(box.h + pad * 2, base.h / MAX_ZOOM);
+    updateViewBox({ x: box.x + box.w / 2 - w / 2, y: box.y + box.h / 2 - h / 2, w, h });
+  }, [updateViewBox]);
+
+  // Zoom to the selected node or edge
+  const zoomToSelection = useCallback(() => {
+    if (selectedNode) zoomToElement(selectedNode.svgId);
+  }, [selectedNode, zoomToElement]);
+
+  // Apply the viewBox to the live SVG
+  useEffect(() => {
+    if (svgRef.current && viewBox) {
+      svgRef.current.setAttribute('viewBox', formatViewBox(viewBox));
+    }
+  }, [viewBox, loading]);
 
-  // Listen for theme changes
+  // Wheel / trackpad-pinch zoom around the cursor (non-passive so the page doesn't scroll)
   useEffect(() => {
-    const observer = new MutationObserver(() => {
-      setDarkMode(isDarkMode());
-    });
-    observer.observe(document.body, { attributes: true, attributeFilter: ['class', 'data-vscode-theme-kind'] });
-    return () => observer.disconnect();
-  }, []);
+    const container = containerRef.current;
+    if (!container) return;
+    const onWheel = (e) => {
+      const svg = svgRef.current;
+      if (!svg) return;
+      e.preventDefault();
+      const speed = e.ctrlKey ? 0.01 : 0.002; // pinch gestures arrive as ctrl+wheel
+      zoomBy(Math.exp(-e.deltaY * speed), clientToSvg(svg, e.clientX, e.clientY));
+    };
+    container.addEventListener('wheel', onWheel, { passive: false });
+    return () => container.removeEventListener('wheel', onWheel);
+  }, [zoomBy, error]);
+
+  // Drag to pan, two-finger pinch to zoom
+  const onPointerDown = useCallback((e) => {
+    if (e.button !== 0 && e.pointerType === 'mouse') return;
+    // In edit mode a press on a node drags the node instead of the view; in
+    // connect mode it draws a new edge from the node
+    if ((editLayout || connectMode) && pointersRef.current.size === 0) {
+      const group = e.target instanceof Element ? e.target.closest('g.node') : null;
+      const hit = group ? elementFor(graphModel, group) : null;
+      const graphGroup = svgRef.current?.querySelector('g.graph');
+      if (hit?.kind === 'node' && hit.item.pos && graphGroup) {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = {
+          mode: connectMode ? 'connect' : 'move',
+          node: hit.item,
+          group,
+          graphGroup,
+          pointerId: e.pointerId,
+          start: toGroupPoint(graphGroup, e.clientX, e.clientY),
+          startClient: { x: e.clientX, y: e.clientY },
+          dx: 0,
+          dy: 0,
+          moved: false
+        };
+        return;
+      }
+    }
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointersRef.current.size === 1) {
+      panRef.current = { startX: e.clientX, startY: e.clientY, moved: false };
+    }
+  }, [editLayout, connectMode, graphModel]);
+
+  const onPointerMove = useCallback((e) => {
+    const drag = dragRef.current;
+    if (drag && drag.pointerId === e.pointerId) {
+      if (!drag.moved) {
+        if (Math.hypot(e.clientX - drag.startClient.x, e.clientY - drag.startClient.y) < DRAG_THRESHOLD) return;
+        drag.moved = true;
+        if (drag.mode === 'connect') {
+          drag.line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+          drag.line.setAttribute('class', 'dot4-connector');
+          drag.line.setAttribute('x1', drag.node.pos.x);
+          drag.line.setAttribute('y1', -drag.node.pos.y);
+          drag.graphGroup.appendChild(drag.line);
+        }
+        // The node's edges are routed again once it's dropped
+        if (drag.mode === 'move') graphModel.edges.forEach(edge => {
+          if (edge.tail !== drag.node.name && edge.head !== drag.node.name) return;
+          const el = svgRef.current?.getElementById(edge.svgId);
+          if (el) el.style.opacity = '0.25';
+        });
+      }
+      const p = toGroupPoint(drag.graphGroup, e.clientX, e.clientY);
+      if (drag.mode === 'connect') {
+        drag.line.setAttribute('x2', p.x);
+        drag.line.setAttribute('y2', p.y);
+        return;
+      }
+      drag.dx = p.x - drag.start.x;
+      drag.dy = p.y - drag.start.y;
+      drag.group.setAttribute('transform', `translate(${drag.dx} ${drag.dy})`);
+      return;
+    }
+    const svg = svgRef.current;
+    const pointers = pointersRef.current;
+    if (!svg || !pointers.has(e.pointerId)) return;
+    const prev = pointers.get(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2) {
+      const [a, b] = Array.from(pointers.values());
+      const other = a === pointers.get(e.pointerId) ? b : a;
+      const before = Math.hypot(prev.x - other.x, prev.y - other.y);
+      const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+      if (before > 0) {
+        const mid = clientToSvg(svg, (e.clientX + other.x) / 2, (e.clientY + other.y) / 2);
+        zoomBy(after / before, mid);
+      }
+      if (panRef.current) panRef.current.moved = true;
+      return;
+    }
 
-  // Parse graph structure for neighbor highlighting
-  const graphStructure = useMemo(() => {
-    const predecessors = new Map(); // node -> Set of nodes that point TO it
-    const successors = new Map();   // node -> Set of nodes it points TO
-    const edgeMap = new Map();      // "src->dst" -> true
-
-    // Parse edges from DOT source
-    // Matches: "a" -> "b", a -> b, "node1" -> "node2", etc.
-    const edgeRegex = /["']?([^"'\s\[\]{}]+)["']?\s*-[->]\s*["']?([^"'\s\[\]{}]+)["']?/g;
-    let match;
-    while ((match = edgeRegex.exec(dotSource)) !== null) {
-      const [, src, dst] = match;
-      if (src && dst && src !== '{' && dst !== '}') {
-        if (!successors.has(src)) successors.set(src, new Set());
-        if (!predecessors.has(dst)) predecessors.set(dst, new Set());
-        successors.get(src).add(dst);
-        predecessors.get(dst).add(src);
-        edgeMap.set(`${src}->${dst}`, true);
-        edgeMap.set(`${src}--${dst}`, true); // undirected variant
+    const pan = panRef.current;
+    if (!pan) return;
+    if (!pan.moved) {
+      if (Math.hypot(e.clientX - pan.startX, e.clientY - pan.startY) < DRAG_THRESHOLD) return;
+      pan.moved = true;
+      setPanning(true);
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+    const ctm = svg.getScreenCTM();
+    const vb = viewBoxRef.current;
+    if (!ctm || !vb) return;
+    updateViewBox({
+      ...vb,
+      x: vb.x - (e.clientX - prev.x) / ctm.a,
+      y: vb.y - (e.clientY - prev.y) / ctm.d
+    });
+  }, [zoomBy, updateViewBox, graphModel]);
+
+  const onPointerUp = useCallback((e) => {
+    const drag = dragRef.current;
+    if (drag && drag.pointerId === e.pointerId) {
+      dragRef.current = null;
+      if (!drag.moved) return;
+      suppressClickRef.current = true;
+      if (drag.mode === 'connect') {
+        drag.line.remove();
+        const target = e.type === 'pointercancel' ? null : document.elementFromPoint(e.clientX, e.clientY)?.closest('g.node');
+        const hit = target ? elementFor(graphModel, target) : null;
+        if (hit?.kind === 'node') dragActionsRef.current.connect(drag.node.name, hit.item.name);
+        return;
+      }
+      if (e.type === 'pointercancel') {
+        drag.group.removeAttribute('transform');
+        return;
       }
+      // SVG y grows downwards, Graphviz's upwards
+      dragActionsRef.current.drop(drag.node, { x: drag.node.pos.x + drag.dx, y: drag.node.pos.y - drag.dy });
+      return;
+    }
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size === 0) {
+      // A drag shouldn't also count as a click on whatever it started on
+      suppressClickRef.current = !!panRef.current?.moved;
+      panRef.current = null;
+      setPanning(false);
     }
+  }, [graphModel]);
 
-    return { predecessors, successors, edgeMap };
-  }, [dotSource]);
+  const onClickCapture = useCallback((e) => {
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      e.stopPropagation();
+    }
+  }, []);
 
   // Get neighbors of a node
   const getNeighbors = useCallback((nodeId) => {
-    const preds = graphStructure.predecessors.get(nodeId) || new Set();
-    const succs = graphStructure.successors.get(nodeId) || new Set();
-    return { predecessors: preds, successors: succs };
-  }, [graphStructure]);
-
-  // Handle node/edge clicks for interactivity
-  const setupInteractivity = useCallback((svgElement) => {
-    // Make nodes clickable
-    svgElement.querySelectorAll('g.node').forEach(node => {
-      const title = node.querySelector('title');
-      const nodeId = title ? title.textContent : 'unknown';
-      const hasSourceLoc = sourceLocationMap.has(nodeId);
-
-      node.style.cursor = hasSourceLoc ? 'pointer' : 'default';
-
-      node.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const label = node.querySelector('text')?.textContent || nodeId;
-        const shape = node.querySelector('ellipse') ? 'ellipse' :
-                      node.querySelector('polygon') ? 'polygon' :
-                      node.querySelector('path') ? 'path' : 'unknown';
-        setSelectedNode({
-          type: 'node',
-          id: nodeId,
-          label,
-          shape,
-          hasSourceLoc
-        });
-      });
+    return neighborsOf(graphModel, nodeId);
+  }, [graphModel]);
 
-      // Double-click to go to source
-      node.addEventListener('dblclick', (e) => {
-        e.stopPropagation();
-        goToSource(nodeId);
-      });
+  // Search: every match is highlighted and the rest dimmed; one match is current
+  const matcher = useMemo(() => searchMatcher(searchQuery, searchRegex), [searchQuery, searchRegex]);
+  const searchMatches = useMemo(() => findMatches(graphModel, matcher.test), [graphModel, matcher]);
+  const currentMatch = searchMatches.length > 0
+    ? searchMatches[Math.min(searchIndex, searchMatches.length - 1)]
+    : null;
 
-      // Hover effect with neighbor highlighting
-      node.addEventListener('mouseenter', () => {
-        node.style.opacity = '0.8';
-        setHoveredNode(nodeId);
-      });
-      node.addEventListener('mouseleave', () => {
-        node.style.opacity = '1';
-        setHoveredNode(null);
-      });
-    });
+  useEffect(() => {
+    setSearchIndex(0);
+    searchNavigatedRef.current = false;
+  }, [searchQuery, searchRegex]);
+
+  // Step through matches (wrapping), zooming to the new current one. The first
+  // step after a new query shows the first match rather than skipping it.
+  const stepSearch = useCallback((delta) => {
+    if (searchMatches.length === 0) return;
+    const current = Math.min(searchIndex, searchMatches.length - 1);
+    const next = searchNavigatedRef.current
+      ? (current + delta + searchMatches.length) % searchMatches.length
+      : current;
+    searchNavigatedRef.current = true;
+    setSearchIndex(next);
+    zoomToElement(searchMatches[next].item.svgId);
+  }, [searchMatches, searchIndex, zoomToElement]);
+
+  const onSearchKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' || e.key === 'F3') {
+      e.preventDefault();
+      stepSearch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      setSearchQuery('');
+      setFilterMatches(false);
+    }
+  }, [stepSearch]);
 
-    // Make edges clickable
-    svgElement.querySelectorAll('g.edge').forEach(edge => {
-      const title = edge.querySelector('title');
-      const edgeId = title ? title.textContent : 'unknown';
-      const hasSourceLoc = sourceLocationMap.has(edgeId);
-
-      edge.style.cursor = hasSourceLoc ? 'pointer' : 'default';
-
-      edge.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const [src, dst] = edgeId.split('->').map(s => s.trim());
-        const label = edge.querySelector('text')?.textContent || '';
-        setSelectedNode({
-          type: 'edge',
-          id: edgeId,
-          src,
-          dst,
-          label,
-          hasSourceLoc
-        });
-      });
+  // Search overlay
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    searchMatches.forEach(m => addClass(classes, m.item.svgId, 'dot4-match'));
+    if (currentMatch) addClass(classes, currentMatch.item.svgId, 'dot4-current');
+    setOverlay(svg, 'search', classes);
+    svg.classList.toggle('dot4-searching', !!matcher.test);
+  }, [renderCount, loading, searchMatches, currentMatch, matcher]);
+
+  // Filter: lay out only the matches (and the ends of matching edges) plus
+  // `filterHops` steps of context around them, cut from the unfiltered model
+  const filteredNodes = useMemo(() => {
+    if (!filterMatches || !matcher.test || sourceModel.dotSource !== baseSource) return null;
+    const model = sourceModel.model;
+    const seeds = new Set();
+    for (const m of findMatches(model, matcher.test)) {
+      if (m.kind === 'node') {
+        seeds.add(m.item.name);
+      } else {
+        seeds.add(m.item.tail);
+        seeds.add(m.item.head);
+      }
+    }
+    if (seeds.size === 0) return null;
+    return nodesWithin(model, seeds, filterHops);
+  }, [filterMatches, matcher, sourceModel, baseSource, filterHops]);
+
+  // Focus on `node` with the current radius and direction (or `options`).
+  // Focusing on the current center again just changes its options.
+  const focusOn = useCallback((node, options = {}) => {
+    const next = { ...focusOptions, ...options, node };
+    if (!graphModel.directed) next.direction = 'both';
+    setFocusTrail(trail => (trail.length > 0 && trail[trail.length - 1].node === node
+      ? [...trail.slice(0, -1), next]
+      : [...trail, next]));
+  }, [focusOptions, graphModel]);
+
+  // Change the radius or direction of the current focus, and of later ones.
+  // An unlimited radius only applies to the current focus.
+  const changeFocusOptions = (options) => {
+    if (Number.isFinite(options.hops ?? 0)) setFocusOptions(prev => ({ ...prev, ...options }));
+    setFocusTrail(trail => (trail.length > 0 ? [...trail.slice(0, -1), { ...trail[trail.length - 1], ...options }] : trail));
+  };
 
-      // Double-click to go to source
-      edge.addEventListener('dblclick', (e) => {
-        e.stopPropagation();
-        goToSource(edgeId);
-      });
+  // Graph derived from the source by the filter, the focus, hidden nodes,
+  // collapsed clusters and the layout options panel, or null
+  const derivedSource = useMemo(() => {
+    if (sourceModel.dotSource !== baseSource) return null;
+    const model = sourceModel.model;
+    const collapsed = [...collapsedClusters].filter(name => model.clusters.has(name));
+    // Nodes left by the filter, the scope and the hidden nodes (null: all of them)
+    let nodes = filteredNodes;
+    if (scope && model.nodes.has(scope.node)) {
+      const inScope = nodesWithin(model, [scope.node], scope.hops, scope.direction);
+      nodes = new Set([...(nodes || inScope)].filter(name => inScope.has(name)));
+    }
+    if ([...hiddenNodes].some(name => model.nodes.has(name))) {
+      nodes = new Set([...(nodes || model.nodes.keys())].filter(name => !hiddenNodes.has(name)));
+    }
+    if (!nodes && collapsed.length === 0 && !overrides) return null;
+    const own = overrides ? ownAttributes(sourceModel.dotSource) : undefined;
+    return modelToDot(model, withOverrides(collapseClusters(model, collapsed, nodes ? { nodes } : {}), overrides, own));
+  }, [sourceModel, baseSource, filteredNodes, scope, hiddenNodes, collapsedClusters, overrides]);
+
+  // The DOT text actually laid out: the source, a graph derived from it, or
+  // that graph as arranged by hand
+  const autoSource = derivedSource ?? baseSource;
+  const manualActive = manualLayout?.from === autoSource;
+  const displaySource = manualActive ? manualLayout.dot : autoSource;
+
+  // Everything that changes the Graphviz layout (and nothing else)
+  const layoutEngine = manualActive ? manualLayout.engine : engine;
+  const layoutOptions = useMemo(() => ({ engine: layoutEngine }), [layoutEngine]);
+
+  // Lay the shown graph out again with every node where it is now, except
+  // `moved` ones (name -> position); moved nodes are pinned
+  const arrangeNodes = useCallback((moved, routing) => {
+    const positions = nodePositions(graphModel);
+    moved.forEach((pos, name) => positions.set(name, pos));
+    const pinned = new Set(manualActive ? manualLayout.pinned : []);
+    moved.forEach((_, name) => pinned.add(name));
+    keepViewRef.current = { anchor: graphModel.nodeOrder.find(name => !moved.has(name)) };
+    setManualLayout({ from: autoSource, dot: pinnedLayoutDot(graphModel, positions, routing), engine: 'nop', pinned });
+  }, [graphModel, manualActive, manualLayout, autoSource]);
+
+  dragActionsRef.current = {
+    drop: (node, pos) => arrangeNodes(new Map([[node.name, pos]]), edgeRouting),
+    connect: (tail, head) => editSource(props.sourceBlock?.uri, () => ({
+      edits: addEdgeEdits(props.sourceBlock, tail, head),
+      message: `Added ${tail} → ${head}`
+    }))
+  };
+
+  const changeEdgeRouting = useCallback((routing) => {
+    setEdgeRouting(routing);
+    if (manualActive) arrangeNodes(new Map(), routing);
+  }, [manualActive, arrangeNodes]);
+
+  // A fresh neato layout that only keeps the pinned nodes where they are
+  const relayoutAroundPins = useCallback(() => {
+    if (!manualActive) return;
+    setManualLayout({
+      ...manualLayout,
+      dot: relayoutAroundPinsDot(graphModel, manualLayout.pinned, edgeRouting),
+      engine: 'neato'
     });
+  }, [manualActive, manualLayout, graphModel, edgeRouting]);
 
-    // Click elsewhere to deselect
-    svgElement.addEventListener('click', () => {
-      setSelectedNode(null);
+  // The DOT of the shown arrangement with every node pinned, for export
+  const exportSource = useMemo(
+    () => (manualActive ? pinnedLayoutDot(graphModel, nodePositions(graphModel), edgeRouting) : displaySource),
+    [manualActive, graphModel, edgeRouting, displaySource]
+  );
+
+  const toggleCluster = useCallback((name) => {
+    setCollapsedClusters(prev => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
     });
-  }, [sourceLocationMap, goToSource]);
-
-  // Apply diff highlighting
-  const applyDiffHighlighting = useCallback((svgElement) => {
-    if (!isDiff) return;
-
-    svgElement.querySelectorAll('g.node').forEach(node => {
-      const title = node.querySelector('title');
-      const nodeId = title ? title.textContent : '';
-
-      if (addedNodes.has(nodeId)) {
-        // Green for added
-        node.querySelectorAll('ellipse, polygon, path').forEach(el => {
-          el.style.stroke = '#4caf50';
-          el.style.strokeWidth = '3';
-          el.style.fill = '#e8f5e9';
-        });
-      } else if (removedNodes.has(nodeId)) {
-        // Red for removed
-        node.querySelectorAll('ellipse, polygon, path').forEach(el => {
-          el.style.stroke = '#f44336';
-          el.style.strokeWidth = '3';
-          el.style.fill = '#ffebee';
-          el.style.strokeDasharray = '5,5';
-        });
-      }
+  }, []);
+
+  // Path finder: simple paths up to the length cap, shortest first ({ paths,
+  // complete }, see shortestPaths). The search runs after the frame is drawn, so
+  // picking the endpoints doesn't wait for it.
+  const pathLimit = largeGraph ? 1 : PATH_LIMIT;
+  const [pathSearch, setPathSearch] = useState(null);
+  useEffect(() => {
+    setPathSearch(null);
+    if (!pathStart || !pathEnd) return undefined;
+    const timer = setTimeout(() => {
+      setPathSearch(shortestPaths(graphModel, pathStart, pathEnd, { maxLength: pathMaxLength, limit: pathLimit }));
     });
+    return () => clearTimeout(timer);
+  }, [graphModel, pathStart, pathEnd, pathMaxLength, pathLimit]);
+  const pathResults = pathSearch?.paths || null;
+  const currentPath = pathResults && pathResults.length > 0
+    ? pathResults[Math.min(pathIndex, pathResults.length - 1)]
+    : null;
 
-    svgElement.querySelectorAll('g.edge').forEach(edge => {
-      const title = edge.querySelector('title');
-      const edgeId = title ? title.textContent : '';
+  useEffect(() => {
+    setPathIndex(0);
+  }, [pathStart, pathEnd, pathMaxLength]);
 
-      if (addedEdges.has(edgeId)) {
-        edge.querySelectorAll('path, polygon').forEach(el => {
-          el.style.stroke = '#4caf50';
-          el.style.strokeWidth = '2';
-        });
-      } else if (removedEdges.has(edgeId)) {
-        edge.querySelectorAll('path, polygon').forEach(el => {
-          el.style.stroke = '#f44336';
-          el.style.strokeWidth = '2';
-          el.style.strokeDasharray = '5,5';
-        });
+  const clearPath = useCallback(() => {
+    setPathStart(null);
+    setPathEnd(null);
+  }, []);
+
+  // Components with cycles (directed graphs only). Linear in the graph size, so
+  // the toolbar can always tell whether there are any.
+  const cyclicParts = useMemo(
+    () => (graphModel.directed ? cyclicComponents(graphModel) : null),
+    [graphModel]
+  );
+  // The edges closing them and the cycles themselves, only while the cycle view
+  // is on. Large graphs get the components and closing edges but no cycle list.
+  const cycleInfo = useMemo(() => {
+    if (!cycleMode || !cyclicParts || cyclicParts.length === 0) return null;
+    const closing = cycleClosingEdges(graphModel);
+    if (largeGraph) return { components: cyclicParts, closing, cycles: [], complete: false, listed: false };
+    const { cycles, complete } = findCycles(graphModel, { limit: CYCLE_LIMIT, components: cyclicParts });
+    return { components: cyclicParts, closing, cycles, complete, listed: true };
+  }, [cycleMode, cyclicParts, graphModel, largeGraph]);
+  const cyclesShown = cycleInfo !== null;
+  const currentCycle = cyclesShown && cycleInfo.cycles.length > 0
+    ? cycleInfo.cycles[Math.min(cycleIndex, cycleInfo.cycles.length - 1)]
+    : null;
+
+  useEffect(() => {
+    setCycleIndex(0);
+  }, [cycleInfo]);
+
+  const stepCycle = (delta) => {
+    const n = cycleInfo.cycles.length;
+    setCycleIndex(i => (Math.min(i, n - 1) + delta + n) % n);
+  };
+
+  // Cycle overlay: each component in its own color, closing edges outlined,
+  // the current cycle emphasized; everything acyclic is dimmed
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    if (cyclesShown) {
+      const componentOf = new Map();
+      cycleInfo.components.forEach((members, i) => members.forEach(name => componentOf.set(name, i)));
+      const mark = (svgId, i) => {
+        addClass(classes, svgId, 'dot4-scc');
+        addClass(classes, svgId, `dot4-scc-${i % COMPONENT_COLORS.length}`);
+      };
+      componentOf.forEach((i, name) => mark(graphModel.nodes.get(name)?.svgId, i));
+      graphModel.edges.forEach(edge => {
+        const i = componentOf.get(edge.tail);
+        if (i !== undefined && componentOf.get(edge.head) === i) mark(edge.svgId, i);
+      });
+      cycleInfo.closing.forEach(edge => addClass(classes, edge.svgId, 'dot4-closing'));
+      if (currentCycle) {
+        currentCycle.forEach(name => addClass(classes, graphModel.nodes.get(name)?.svgId, 'dot4-cycle'));
+        edgesAlong(graphModel, [...currentCycle, currentCycle[0]])
+          .forEach(edge => addClass(classes, edge.svgId, 'dot4-cycle'));
       }
-    });
-  }, [isDiff, addedNodes, removedNodes, addedEdges, removedEdges]);
+    }
+    setOverlay(svg, 'cycles', classes);
+    svg.classList.toggle('dot4-cycles', cyclesShown);
+  }, [renderCount, loading, graphModel, cycleInfo, cyclesShown, currentCycle]);
 
-  // Export SVG
-  const exportSVG = useCallback(() => {
+  // Outline a selected cluster, whose extent is otherwise easy to miss
+  useEffect(() => {
     const svg = svgRef.current;
-    if (!svg) return;
-
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svg);
-    const blob = new Blob([svgString], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'graph.svg';
-    a.click();
-    URL.revokeObjectURL(url);
-  }, []);
+    if (!svg || loading) return;
+    const classes = new Map();
+    if (selectedNode?.type === 'cluster') addClass(classes, selectedNode.svgId, 'dot4-selected');
+    setOverlay(svg, 'selection', classes);
+  }, [renderCount, loading, selectedNode]);
 
-  // Export PNG
-  const exportPNG = useCallback(() => {
+  // Endpoints of an edge picked from the context menu
+  useEffect(() => {
     const svg = svgRef.current;
-    if (!svg) return;
-
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svg);
-    const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(svgBlob);
-
-    const img = new Image();
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      const scale = 2; // Higher resolution
-      canvas.width = img.width * scale;
-      canvas.height = img.height * scale;
-
-      const ctx = canvas.getContext('2d');
-      ctx.scale(scale, scale);
-      ctx.fillStyle = darkMode ? '#1e1e1e' : 'white';
-      ctx.fillRect(0, 0, img.width, img.height);
-      ctx.drawImage(img, 0, 0);
-
-      canvas.toBlob((blob) => {
-        const pngUrl = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = pngUrl;
-        a.download = 'graph.png';
-        a.click();
-        URL.revokeObjectURL(pngUrl);
-      }, 'image/png');
-
-      URL.revokeObjectURL(url);
-    };
-    img.src = url;
-  }, [darkMode]);
+    if (!svg || loading) return;
+    const classes = new Map();
+    const edge = highlightedEdge && graphModel.edges.find(e => e.key === highlightedEdge);
+    if (edge) {
+      addClass(classes, edge.svgId, 'dot4-endpoint');
+      addClass(classes, graphModel.nodes.get(edge.tail)?.svgId, 'dot4-endpoint');
+      addClass(classes, graphModel.nodes.get(edge.head)?.svgId, 'dot4-endpoint');
+    }
+    setOverlay(svg, 'endpoints', classes);
+  }, [renderCount, loading, graphModel, highlightedEdge]);
+
+  // Metric values of the nodes on screen. In/out-degree need a directed graph,
+  // and the expensive metrics are left out in large-graph mode.
+  const metricAvailable = (m) => !(m.directed && !graphModel.directed) && !(m.expensive && largeGraph);
+  const metricResult = useMemo(() => {
+    if (!metric || !metricAvailable(METRICS[metric])) return null;
+    return computeMetric(graphModel, metric);
+  }, [graphModel, metric, largeGraph]);
+
+  // Metrics overlay: nodes colored (and optionally scaled) by their metric bin
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    metricResult?.bins.forEach((bin, name) => addClass(classes, graphModel.nodes.get(name)?.svgId, `dot4-metric-${bin}`));
+    setOverlay(svg, 'metric', classes);
+    svg.classList.toggle('dot4-metric-size', !!metricResult && metricSize);
+  }, [renderCount, loading, graphModel, metricResult, metricSize]);
+
+  // The top-N list: nodes by value (or name), as sorted by the list's headers
+  const metricTop = useMemo(() => {
+    if (!metricResult) return [];
+    const sign = metricSort.descending ? -1 : 1;
+    const entries = [...metricResult.values].sort(([a, va], [b, vb]) => (metricSort.by === 'value'
+      ? sign * (va - vb) || a.localeCompare(b)
+      : sign * a.localeCompare(b)));
+    return entries.slice(0, metricTopN);
+  }, [metricResult, metricSort, metricTopN]);
+
+  // Center of the focus
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    if (scope) addClass(classes, graphModel.nodes.get(scope.node)?.svgId, 'dot4-focus-center');
+    setOverlay(svg, 'focus', classes);
+  }, [renderCount, loading, graphModel, scope]);
+
+  // A selection restored from the saved view state gets its SVG group once the
+  // graph it belongs to is laid out
+  useEffect(() => {
+    if (!selectedNode || selectedNode.svgId || loading) return;
+    const element = selectedElement(graphModel, selectedNode);
+    if (element) setSelectedNode({ ...selectedNode, svgId: element.svgId });
+  }, [selectedNode, graphModel, loading]);
+
+  // The selected node can be focused on (summary nodes of collapsed clusters can't)
+  const focusableSelection = selectedNode?.type === 'node' &&
+    !!graphModel.nodes.get(selectedNode.id) && !graphModel.nodes.get(selectedNode.id).attributes[SUMMARY_ATTRIBUTE];
+
+  // Everything known about the selected element, for the inspector panel
+  const inspection = useMemo(
+    () => (selectedNode ? inspectElement(graphModel, selectedNode, sourceLocationMap.get(selectedNode.id)) : null),
+    [graphModel, selectedNode, sourceLocationMap]
+  );
+  const [copiedValue, setCopiedValue] = useState(null); // key of the value just copied
+
+  // Source edits for the selected element
+  useEffect(() => setRenaming(null), [selectedNode]);
+  const selectedLocation = selectedNode && canEditSource
+    ? sourceLocations.find(loc => loc.id === selectedNode.id)
+    : null;
+
+  const renameSelected = useCallback((label) => {
+    setRenaming(null);
+    editSource(selectedLocation?.uri, () => ({
+      edits: renameLabelEdits(selectedLocation, label),
+      message: `Renamed ${selectedNode.id} to "${label}"`
+    }));
+  }, [editSource, selectedLocation, selectedNode]);
+
+  const deleteSelected = useCallback(() => {
+    const { type, id } = selectedNode;
+    // Edges of the whole graph, not just the shown (filtered or collapsed) part
+    const edges = sourceModel.dotSource === baseSource ? sourceModel.model.edges : graphModel.edges;
+    editSource(selectedLocation?.uri, () => {
+      if (type === 'edge') {
+        return { edits: deleteEdgeEdits(sourceLocations, props.sourceBlock, id), message: `Deleted ${id}` };
+      }
+      const { edits, kept } = deleteNodeEdits(sourceLocations, props.sourceBlock, id, edges);
+      return {
+        edits,
+        message: kept.length > 0
+          ? `Deleted ${id}; kept the statements of ${kept.join(', ')}, which declare other edges too`
+          : `Deleted ${id} and its edges`
+      };
+    });
+    setSelectedNode(null);
+  }, [selectedNode, selectedLocation, sourceModel, baseSource, graphModel, editSource, sourceLocations, props.sourceBlock]);
+
+  const copyValue = useCallback(async (key, text) => {
+    try {
+      await copyToClipboard(text);
+      setCopiedValue(key);
+      setTimeout(() => setCopiedValue(current => (current === key ? null : current)), 1500);
+    } catch (_) {
+      setCopiedValue(null);
+    }
+  }, []);
 
-  // Animation: highlight nodes in sequence (for topological sort visualization)
-  const animateNodes = useCallback((nodeOrder) => {
-    if (animating || !nodeOrder || nodeOrder.length === 0) return;
+  // Manual layout overlay: pinned nodes, and the cursor for edit and connect mode
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    if (manualActive) manualLayout.pinned.forEach(name => addClass(classes, graphModel.nodes.get(name)?.svgId, 'dot4-pinned'));
+    setOverlay(svg, 'manual', classes);
+    svg.classList.toggle('dot4-editing', editLayout);
+    svg.classList.toggle('dot4-connecting', connectMode);
+  }, [renderCount, loading, graphModel, manualActive, manualLayout, editLayout, connectMode]);
+
+  // Path overlay: endpoints and the current path; the rest is dimmed
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    if (currentPath) {
+      currentPath.forEach(name => addClass(classes, graphModel.nodes.get(name)?.svgId, 'dot4-path'));
+      edgesAlong(graphModel, currentPath).forEach(edge => addClass(classes, edge.svgId, 'dot4-path'));
+    }
+    addClass(classes, graphModel.nodes.get(pathStart)?.svgId, 'dot4-path-start');
+    addClass(classes, graphModel.nodes.get(pathEnd)?.svgId, 'dot4-path-end');
+    setOverlay(svg, 'path', classes);
+    svg.classList.toggle('dot4-pathing', !!currentPath);
+  }, [renderCount, loading, graphModel, currentPath, pathStart, pathEnd]);
+
+  // Find the node or edge under an event target (one set of delegated listeners
+  // on the container handles every element, however large the graph)
+  const hitTest = useCallback((target) => {
+    const group = target instanceof Element ? target.closest('g.node, g.edge') : null;
+    return group ? elementFor(graphModel, group) : null;
+  }, [graphModel]);
+
+  // Select a node or edge (click or Enter); a collapsed cluster's summary node
+  // expands it again instead
+  const activate = useCallback((hit) => {
+    if (hit.kind === 'node' && hit.item.attributes[SUMMARY_ATTRIBUTE]) {
+      toggleCluster(hit.item.attributes[SUMMARY_ATTRIBUTE]);
+      return;
+    }
+    if (hit.kind === 'node') {
+      setSelectedNode({ type: 'node', id: hit.item.name, svgId: hit.item.svgId });
+    } else if (hit.kind === 'edge') {
+      setSelectedNode({ type: 'edge', id: hit.item.id, key: hit.item.key, svgId: hit.item.svgId });
+    } else {
+      setSelectedNode({ type: 'cluster', id: hit.item.name, svgId: hit.item.svgId });
+    }
+  }, [toggleCluster]);
+
+  // Click to select, click the background to deselect
+  const onGraphClick = useCallback((e) => {
+    // A click on a cluster's label collapses it
+    const clusterLabel = e.target instanceof Element ? e.target.closest('g.cluster > text') : null;
+    if (clusterLabel) {
+      const cluster = elementFor(graphModel, clusterLabel.parentNode);
+      if (cluster?.kind === 'cluster') toggleCluster(cluster.item.name);
+      return;
+    }
+    const hit = hitTest(e.target);
+    if (!hit) {
+      // Clicking inside a cluster (but not on one of its nodes) selects it
+      const clusterGroup = e.target instanceof Element ? e.target.closest('g.cluster') : null;
+      const cluster = clusterGroup ? elementFor(graphModel, clusterGroup) : null;
+      if (cluster?.kind === 'cluster') activate(cluster);
+      else setSelectedNode(null);
+      setHighlightedEdge(null);
+      return;
+    }
+    // Shift-click picks path endpoints: the first click the source, the next the target
+    if (e.shiftKey && hit.kind === 'node') {
+      if (!pathStart || pathEnd) {
+        setPathStart(hit.item.name);
+        setPathEnd(null);
+      } else {
+        setPathEnd(hit.item.name);
+      }
+      return;
+    }
+    activate(hit);
+  }, [hitTest, graphModel, toggleCluster, activate, pathStart, pathEnd]);
+
+  // Right-click (or the context menu key on a focused node) opens a menu for the
+  // element under the pointer, or for the canvas
+  const openContextMenu = useCallback((clientX, clientY, hit) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    setContextMenu({ x: Math.max(0, Math.min(clientX - rect.left, rect.width - 220)), y: clientY - rect.top, hit });
+    setMenuIndex(-1);
+    setHoveredNode(null);
+  }, []);
 
-    setAnimating(true);
-    let index = 0;
+  const onGraphContextMenu = useCallback((e) => {
+    e.preventDefault();
+    openContextMenu(e.clientX, e.clientY, hitTest(e.target));
+  }, [openContextMenu, hitTest]);
 
-    const step = () => {
-      if (index >= nodeOrder.length) {
-        setAnimating(false);
-        setHighlightedNodes(new Set());
+  // Close the menu on any press outside it; keys go to the menu while it's open
+  useEffect(() => {
+    if (!contextMenu) return;
+    menuRef.current?.focus();
+    const close = (e) => {
+      if (!menuRef.current?.contains(e.target)) setContextMenu(null);
+    };
+    document.addEventListener('pointerdown', close, true);
+    return () => document.removeEventListener('pointerdown', close, true);
+  }, [contextMenu]);
+
+  // Double-click to go to source
+  const onGraphDoubleClick = useCallback((e) => {
+    const hit = hitTest(e.target);
+    if (hit) goToSource(hit.kind === 'node' ? hit.item.name : hit.item.id);
+  }, [hitTest, goToSource]);
+
+  // Hover effect with neighbor highlighting (mouseover/out bubble, unlike mouseenter/leave)
+  const onGraphMouseOver = useCallback((e) => {
+    const hit = hitTest(e.target);
+    if (hit?.kind === 'node') setHoveredNode(hit.item.name);
+    // Modified elements of a diff show their attribute changes next to the cursor
+    const changes = hit && (hit.kind === 'node' ? modifiedNodes.get(hit.item.name) : modifiedEdges.get(hit.item.id));
+    if (changes && containerRef.current) {
+      const rect = containerRef.current.getBoundingClientRect();
+      setDiffPopup({
+        id: hit.kind === 'node' ? hit.item.name : hit.item.id,
+        changes,
+        x: e.clientX - rect.left + 12,
+        y: e.clientY - rect.top + 12
+      });
+    }
+  }, [hitTest, modifiedNodes, modifiedEdges]);
+
+  const onGraphMouseOut = useCallback((e) => {
+    const from = hitTest(e.target);
+    if (!from) return;
+    const to = e.relatedTarget ? hitTest(e.relatedTarget) : null;
+    if (to?.item === from.item) return;
+    if (from.kind === 'node') setHoveredNode(null);
+    setDiffPopup(null);
+  }, [hitTest]);
+
+  // Keyboard focus: the focused node becomes the Tab stop and gets the same
+  // neighbor highlighting as hovering (see highlightNode)
+  const onGraphFocus = useCallback((e) => {
+    const hit = hitTest(e.target);
+    if (hit?.kind !== 'node') return;
+    setFocusedNode(hit.item.name);
+    setNodeHasFocus(true);
+  }, [hitTest]);
+
+  const onGraphBlur = useCallback((e) => {
+    if (hitTest(e.target)?.kind === 'node' && !e.relatedTarget?.closest?.('g.node')) setNodeHasFocus(false);
+  }, [hitTest]);
+
+  // Focus a node, panning it into view if it's outside the viewport
+  const focusNodeByName = useCallback((name) => {
+    const svg = svgRef.current;
+    const node = graphModel.nodes.get(name);
+    const el = node?.svgId && svg?.getElementById(node.svgId);
+    if (!el) return;
+    setTabStop(svg, graphModel, name);
+    el.focus({ preventScroll: true });
+    const vb = viewBoxRef.current;
+    const box = elementBounds(svg, el);
+    if (vb && (box.x < vb.x || box.y < vb.y || box.x + box.w > vb.x + vb.w || box.y + box.h > vb.y + vb.h)) {
+      centerOn(box.x + box.w / 2, box.y + box.h / 2);
+    }
+  }, [graphModel, centerOn]);
+
+  // Up/Down follow an edge backwards/forwards to the first predecessor/successor;
+  // Left/Right then cycle through the other nodes that step could have reached
+  // (or through all nodes, before the first step). Enter selects, Alt+Enter
+  // goes to source, Escape clears the selection and path.
+  const onGraphKeyDown = useCallback((e) => {
+    const hit = hitTest(e.target);
+    if (hit?.kind !== 'node') return;
+    const name = hit.item.name;
+    const label = (n) => graphModel.nodes.get(n)?.label || n;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const forward = e.key === 'ArrowDown';
+      const targets = stepTargets(graphModel, name, forward);
+      if (targets.length === 0) {
+        setAnnouncement(`${label(name)} has no ${forward ? 'successors' : 'predecessors'}`);
         return;
       }
+      keyStepRef.current = { from: name, forward, targets, index: 0 };
+      focusNodeByName(targets[0]);
+      setAnnouncement(targets.length > 1
+        ? `${label(targets[0])}, 1 of ${targets.length} ${forward ? 'successors' : 'predecessors'} of ${label(name)}`
+        : '');
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const delta = e.key === 'ArrowRight' ? 1 : -1;
+      const step = keyStepRef.current;
+      if (step && step.targets[step.index] === name) {
+        step.index = (step.index + delta + step.targets.length) % step.targets.length;
+        focusNodeByName(step.targets[step.index]);
+        setAnnouncement(`${label(step.targets[step.index])}, ${step.index + 1} of ${step.targets.length} ` +
+          `${step.forward ? 'successors' : 'predecessors'} of ${label(step.from)}`);
+      } else {
+        const order = graphModel.nodeOrder;
+        const next = order[(order.indexOf(name) + delta + order.length) % order.length];
+        focusNodeByName(next);
+        setAnnouncement('');
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (e.altKey) goToSource(name);
+      else activate(hit);
+    } else if (e.key === 'f' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      if (!hit.item.attributes[SUMMARY_ATTRIBUTE]) focusOn(name);
+    } else if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+      e.preventDefault();
+      const box = e.target.getBoundingClientRect();
+      openContextMenu(box.left + box.width / 2, box.top + box.height / 2, hit);
+    } else if (e.key === 'Escape') {
+      setSelectedNode(null);
+      setHighlightedEdge(null);
+      clearPath();
+      setAnnouncement('Selection cleared');
+    }
+  }, [hitTest, graphModel, focusNodeByName, activate, goToSource, clearPath, openContextMenu, focusOn]);
 
-      setHighlightedNodes(new Set(nodeOrder.slice(0, index + 1)));
-      index++;
-      animationRef.current = setTimeout(step, 500);
-    };
+  // The focused node (or the first one) is the graph's single Tab stop
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (svg && !loading) setTabStop(svg, graphModel, focusedNode);
+  }, [renderCount, loading, graphModel, focusedNode]);
 
-    step();
-  }, [animating]);
+  // Diff overlay: added (green) and removed (red dashed) nodes and edges
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    if (isDiff) {
+      graphModel.nodes.forEach(node => {
+        if (addedNodes.has(node.name)) addClass(classes, node.svgId, 'dot4-added');
+        else if (removedNodes.has(node.name)) addClass(classes, node.svgId, 'dot4-removed');
+        else if (modifiedNodes.has(node.name)) addClass(classes, node.svgId, 'dot4-modified');
+      });
+      graphModel.edges.forEach(edge => {
+        if (addedEdges.has(edge.id)) addClass(classes, edge.svgId, 'dot4-added');
+        else if (removedEdges.has(edge.id)) addClass(classes, edge.svgId, 'dot4-removed');
+        else if (modifiedEdges.has(edge.id)) addClass(classes, edge.svgId, 'dot4-modified');
+      });
+    }
+    setOverlay(svg, 'diff', classes);
+  }, [renderCount, loading, graphModel, isDiff, addedNodes, removedNodes, addedEdges, removedEdges,
+      modifiedNodes, modifiedEdges]);
+
+  // Elements exported with the 'selection' region: the selected element, the
+  // current path and the search matches, plus the edges between kept nodes
+  const selectionIds = useMemo(() => {
+    const ids = new Set();
+    const names = new Set();
+    if (selectedNode?.svgId) ids.add(selectedNode.svgId);
+    if (selectedNode?.type === 'node') names.add(selectedNode.id);
+    if (selectedNode?.type === 'cluster') {
+      (graphModel.clusters.get(selectedNode.id)?.nodes || []).forEach(name => names.add(name));
+    }
+    (currentPath || []).forEach(name => names.add(name));
+    searchMatches.forEach(m => {
+      ids.add(m.item.svgId);
+      if (m.kind === 'node') names.add(m.item.name);
+    });
+    names.forEach(name => ids.add(graphModel.nodes.get(name)?.svgId));
+    graphModel.edges.forEach(edge => {
+      if (names.has(edge.tail) && names.has(edge.head)) ids.add(edge.svgId);
+    });
+    ids.delete(undefined);
+    return ids;
+  }, [selectedNode, currentPath, searchMatches, graphModel]);
 
-  // Stop animation
-  const stopAnimation = useCallback(() => {
-    if (animationRef.current) {
-      clearTimeout(animationRef.current);
+  // The SVG to export, per the export menu settings
+  const exportedSvg = useCallback(() => {
+    const svg = svgRef.current;
+    const layout = shownLayoutRef.current;
+    if (!svg || !layout) return null;
+    let viewBox = null;
+    let keepIds = null;
+    if (exportRegion === 'viewport') {
+      viewBox = viewBoxRef.current;
+    } else if (exportRegion === 'selection' && selectionIds.size > 0) {
+      keepIds = selectionIds;
+      const boxes = [...selectionIds]
+        .map(id => svg.getElementById(id))
+        .filter(Boolean)
+        .map(el => elementBounds(svg, el));
+      const pad = 8;
+      const x = Math.min(...boxes.map(b => b.x)) - pad;
+      const y = Math.min(...boxes.map(b => b.y)) - pad;
+      viewBox = {
+        x,
+        y,
+        w: Math.max(...boxes.map(b => b.x + b.w)) + pad - x,
+        h: Math.max(...boxes.map(b => b.y + b.h)) + pad - y
+      };
     }
-    setAnimating(false);
-    setHighlightedNodes(new Set());
-  }, []);
+    return buildExportSvg(layout.svg, layout.model, {
+      mode: colorMode,
+      theme,
+      background: exportBackground || (theme.dark ? 'dark' : 'light'),
+      viewBox,
+      keepIds,
+      highlightsFrom: exportHighlights ? svg : null
+    });
+  }, [exportRegion, exportBackground, exportHighlights, selectionIds, colorMode, theme]);
+
+  // Export as 'svg', 'png' or 'dot' (the displayed graph's DOT, with pos="x,y!"
+  // on every node after manual layout), to a file named
+  // after the graph or to the clipboard
+  const runExport = useCallback(async (format, toClipboard) => {
+    const fileName = `${graphFileName(dotSource)}${exportRegion === 'all' ? '' : `-${exportRegion}`}.${format}`;
+    try {
+      if (format === 'dot') {
+        if (toClipboard) await copyToClipboard(exportSource);
+        else download(new Blob([exportSource], { type: 'text/vnd.graphviz' }), fileName);
+      } else {
+        const data = exportedSvg();
+        if (!data) return;
+        const content = format === 'svg'
+          ? (toClipboard ? data.svg : new Blob([data.svg], { type: 'image/svg+xml' }))
+          : await svgToPng(data, exportScale);
+        if (toClipboard) await copyToClipboard(content);
+        else download(content, fileName);
+      }
+      setExportStatus(toClipboard ? `Copied ${format.toUpperCase()} to the clipboard` : `Saved ${fileName}`);
+    } catch (err) {
+      setExportStatus(`Export failed: ${err.message}`);
+    }
+  }, [dotSource, exportSource, exportRegion, exportScale, exportedSvg]);
 
-  // Apply animation highlighting to SVG
-  const applyAnimationHighlighting = useCallback((svgElement) => {
-    if (highlightedNodes.size === 0) return;
+  useEffect(() => {
+    if (!exportStatus) return;
+    const timer = setTimeout(() => setExportStatus(null), 3000);
+    return () => clearTimeout(timer);
+  }, [exportStatus]);
+
+  // Animation player. Each step highlights its nodes and edges; those of
+  // earlier steps stay marked as visited.
+  const startAnimation = useCallback(() => {
+    if (animationSteps.length === 0) return;
+    setAnimationStep(0);
+    setPlaying(true);
+  }, [animationSteps]);
 
-    svgElement.querySelectorAll('g.node').forEach(node => {
-      const title = node.querySelector('title');
-      const nodeId = title ? title.textContent : '';
+  const stopAnimation = useCallback(() => {
+    setPlaying(false);
+    setAnimationStep(-1);
+  }, []);
 
-      if (highlightedNodes.has(nodeId)) {
-        node.querySelectorAll('ellipse, polygon, path').forEach(el => {
-          el.style.stroke = '#ff9800';
-          el.style.strokeWidth = '3';
-          el.style.fill = darkMode ? '#4a3000' : '#fff3e0';
-        });
-        node.querySelectorAll('text').forEach(t => {
-          t.style.fill = '#ff9800';
-          t.style.fontWeight = 'bold';
-        });
-      }
-    });
-  }, [highlightedNodes, darkMode]);
+  const stepAnimation = useCallback((delta) => {
+    setPlaying(false);
+    setAnimationStep(i => Math.max(0, Math.min(animationSteps.length - 1, i + delta)));
+  }, [animationSteps]);
 
-  // Apply neighbor highlighting on hover
-  const applyNeighborHighlighting = useCallback((svgElement) => {
-    if (!hoveredNode) return;
+  const togglePlaying = useCallback(() => {
+    // Playing from the last step starts over
+    if (!playing && animationStep >= animationSteps.length - 1) setAnimationStep(0);
+    setPlaying(!playing);
+  }, [playing, animationStep, animationSteps]);
 
-    const { predecessors, successors } = getNeighbors(hoveredNode);
+  useEffect(() => {
+    if (!playing) return;
+    if (animationStep >= animationSteps.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setAnimationStep(i => i + 1), 500 / animationSpeed);
+    return () => clearTimeout(timer);
+  }, [playing, animationStep, animationSteps, animationSpeed]);
 
-    // Highlight predecessor nodes (blue - incoming)
-    svgElement.querySelectorAll('g.node').forEach(node => {
-      const title = node.querySelector('title');
-      const nodeId = title ? title.textContent : '';
+  // New steps (e.g. another graph) close the player
+  useEffect(() => {
+    setPlaying(false);
+    setAnimationStep(-1);
+  }, [animationSteps]);
 
-      if (predecessors.has(nodeId)) {
-        node.querySelectorAll('ellipse, polygon, path').forEach(el => {
-          el.style.stroke = '#2196f3';
-          el.style.strokeWidth = '3';
-          el.style.filter = 'drop-shadow(0 0 4px #2196f3)';
-        });
-        node.querySelectorAll('text').forEach(t => {
-          t.style.fill = '#2196f3';
-          t.style.fontWeight = 'bold';
-        });
-      } else if (successors.has(nodeId)) {
-        // Highlight successor nodes (orange - outgoing)
-        node.querySelectorAll('ellipse, polygon, path').forEach(el => {
-          el.style.stroke = '#ff9800';
-          el.style.strokeWidth = '3';
-          el.style.filter = 'drop-shadow(0 0 4px #ff9800)';
-        });
-        node.querySelectorAll('text').forEach(t => {
-          t.style.fill = '#ff9800';
-          t.style.fontWeight = 'bold';
-        });
-      } else if (nodeId !== hoveredNode) {
-        // Dim non-related nodes
-        node.style.opacity = '0.3';
-      }
+  // Animation overlay: the current step (active) and the steps before it (visited)
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    const edgesById = new Map();
+    graphModel.edges.forEach(edge => {
+      if (!edgesById.has(edge.id)) edgesById.set(edge.id, []);
+      edgesById.get(edge.id).push(edge);
     });
-
-    // Highlight edges connected to hovered node
-    svgElement.querySelectorAll('g.edge').forEach(edge => {
-      const title = edge.querySelector('title');
-      const edgeId = title ? title.textContent : '';
-      const [src, dst] = edgeId.split('->').map(s => s.trim());
-
-      if (src === hoveredNode) {
-        // Outgoing edge (orange)
-        edge.querySelectorAll('path, polygon').forEach(el => {
-          el.style.stroke = '#ff9800';
-          el.style.strokeWidth = '2.5';
-          el.style.filter = 'drop-shadow(0 0 3px #ff9800)';
-        });
-      } else if (dst === hoveredNode) {
-        // Incoming edge (blue)
-        edge.querySelectorAll('path, polygon').forEach(el => {
-          el.style.stroke = '#2196f3';
-          el.style.strokeWidth = '2.5';
-          el.style.filter = 'drop-shadow(0 0 3px #2196f3)';
-        });
-      } else {
-        // Dim non-related edges
-        edge.style.opacity = '0.2';
-      }
+    animationSteps.slice(0, animationStep + 1).forEach((step, i) => {
+      const name = i === animationStep ? 'dot4-active' : 'dot4-visited';
+      (step.nodes || []).forEach(n => addClass(classes, graphModel.nodes.get(n)?.svgId, name));
+      (step.edges || []).forEach(id => (edgesById.get(id) || []).forEach(edge => addClass(classes, edge.svgId, name)));
     });
-  }, [hoveredNode, getNeighbors]);
+    setOverlay(svg, 'animation', classes);
+  }, [renderCount, loading, graphModel, animationSteps, animationStep]);
 
-  // Render minimap
+  // Hover overlay: predecessors (blue, incoming) and successors (orange, outgoing);
+  // everything else is dimmed by the dot4-focus class on the root
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const classes = new Map();
+    if (highlightNode && graphModel.nodes.has(highlightNode)) {
+      const { predecessors, successors } = neighborsOf(graphModel, highlightNode);
+      addClass(classes, graphModel.nodes.get(highlightNode).svgId, 'dot4-hovered');
+      predecessors.forEach(name => addClass(classes, graphModel.nodes.get(name)?.svgId, 'dot4-in'));
+      successors.forEach(name => addClass(classes, graphModel.nodes.get(name)?.svgId, 'dot4-out'));
+      graphModel.edges.forEach(edge => {
+        if (edge.tail === highlightNode) addClass(classes, edge.svgId, 'dot4-out');
+        else if (edge.head === highlightNode) addClass(classes, edge.svgId, 'dot4-in');
+      });
+    }
+    setOverlay(svg, 'hover', classes);
+    svg.classList.toggle('dot4-focus', classes.size > 0);
+  }, [renderCount, loading, graphModel, highlightNode]);
+
+  // Level of detail: a large graph drops its labels and arrowheads while it's
+  // zoomed out too far to read them
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || loading) return;
+    const rect = svg.getBoundingClientRect();
+    const scale = viewBox ? Math.min(rect.width / viewBox.w, rect.height / viewBox.h) : 1;
+    svg.classList.toggle('dot4-lod', largeGraph && scale < LOD_MIN_SCALE);
+  }, [renderCount, loading, viewBox, largeGraph]);
+
+  // Render minimap. The graph itself is drawn once per layout into a bitmap;
+  // hovering and moving the view only redraw the highlights and the viewport.
+  const minimapCacheRef = useRef(null); // { model, base, theme, bitmap }
   const renderMinimap = useCallback(() => {
     if (!svgRef.current || !minimapRef.current || !showMinimap) return;
 
@@ -405,129 +1481,119 @@ export default function DotVisualization(props) {
     const canvas = minimapRef.current;
     const ctx = canvas.getContext('2d');
 
-    // Get SVG dimensions
-    const svgRect = svg.getBoundingClientRect();
-    const viewBox = svg.getAttribute('viewBox');
-    let svgWidth, svgHeight;
-
-    if (viewBox) {
-      const [, , w, h] = viewBox.split(' ').map(Number);
-      svgWidth = w;
-      svgHeight = h;
-    } else {
-      svgWidth = svgRect.width;
-      svgHeight = svgRect.height;
-    }
+    // Map the full graph (the fitted viewBox) onto the canvas
+    const base = baseViewBoxRef.current || parseViewBox(svg);
+    const toGraph = graphTransform(svg);
 
     // Set canvas size (minimap is 150px wide max)
     const maxWidth = 150;
-    const scale = Math.min(maxWidth / svgWidth, 100 / svgHeight);
-    canvas.width = svgWidth * scale;
-    canvas.height = svgHeight * scale;
-
-    // Clear canvas
-    ctx.fillStyle = darkMode ? '#1e1e1e' : '#f5f5f5';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw simplified nodes
-    svg.querySelectorAll('g.node').forEach(node => {
-      const ellipse = node.querySelector('ellipse');
-      const polygon = node.querySelector('polygon');
-      const title = node.querySelector('title');
-      const nodeId = title ? title.textContent : '';
-
-      let cx, cy, rx, ry;
-
-      if (ellipse) {
-        cx = parseFloat(ellipse.getAttribute('cx')) * scale;
-        cy = parseFloat(ellipse.getAttribute('cy')) * scale;
-        rx = Math.max(parseFloat(ellipse.getAttribute('rx')) * scale, 2);
-        ry = Math.max(parseFloat(ellipse.getAttribute('ry')) * scale, 2);
-      } else if (polygon) {
-        const points = polygon.getAttribute('points').split(' ').map(p => {
-          const [x, y] = p.split(',').map(Number);
-          return { x: x * scale, y: y * scale };
-        });
-        cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
-        cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
-        rx = ry = 3;
-      } else {
-        return;
-      }
-
-      // Determine node color based on state
-      if (nodeId === hoveredNode) {
-        ctx.fillStyle = '#4caf50';
-      } else if (hoveredNode) {
-        const { predecessors, successors } = getNeighbors(hoveredNode);
-        if (predecessors.has(nodeId)) {
-          ctx.fillStyle = '#2196f3';
-        } else if (successors.has(nodeId)) {
-          ctx.fillStyle = '#ff9800';
-        } else {
-          ctx.fillStyle = darkMode ? '#555' : '#999';
-        }
-      } else {
-        ctx.fillStyle = darkMode ? '#888' : '#666';
-      }
+    const scale = Math.min(maxWidth / base.w, 100 / base.h);
+    canvas.width = base.w * scale;
+    canvas.height = base.h * scale;
+    const project = (x, y) => {
+      const p = toGraph(x, y);
+      return { x: (p.x - base.x) * scale, y: (p.y - base.y) * scale };
+    };
 
-      ctx.beginPath();
-      ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
-      ctx.fill();
-    });
+    // Simplified nodes from the layout positions (Graphviz y points up)
+    const drawNode = (target, node) => {
+      if (!node?.pos) return;
+      const { x: cx, y: cy } = project(node.pos.x, -node.pos.y);
+      target.beginPath();
+      target.ellipse(cx, cy, Math.max((node.width / 2) * scale, 2), Math.max((node.height / 2) * scale, 2), 0, 0, 2 * Math.PI);
+      target.fill();
+    };
 
-    // Draw simplified edges
-    ctx.strokeStyle = darkMode ? '#444' : '#ccc';
-    ctx.lineWidth = 0.5;
-    svg.querySelectorAll('g.edge path').forEach(path => {
-      const d = path.getAttribute('d');
-      if (!d) return;
-
-      // Simple path parsing - just get the start and end points
-      const moves = d.match(/[MC]\s*[\d.,\s-]+/g);
-      if (!moves || moves.length === 0) return;
-
-      ctx.beginPath();
-      moves.forEach((cmd, i) => {
-        const coords = cmd.substring(1).trim().split(/[\s,]+/).map(Number);
-        if (coords.length >= 2) {
-          const x = coords[coords.length - 2] * scale;
-          const y = coords[coords.length - 1] * scale;
+    const cache = minimapCacheRef.current;
+    if (!cache || cache.model !== graphModel || cache.base !== base || cache.theme !== theme) {
+      const bitmap = document.createElement('canvas');
+      bitmap.width = canvas.width;
+      bitmap.height = canvas.height;
+      const bctx = bitmap.getContext('2d');
+      bctx.fillStyle = theme.widgetBackground;
+      bctx.fillRect(0, 0, bitmap.width, bitmap.height);
+
+      bctx.fillStyle = theme.muted;
+      graphModel.nodes.forEach(node => drawNode(bctx, node));
+
+      // Simplified edges through their spline control points
+      bctx.strokeStyle = theme.border;
+      bctx.lineWidth = 0.5;
+      graphModel.edges.forEach(edge => {
+        const points = edge.spline?.points || [];
+        if (points.length === 0) return;
+        bctx.beginPath();
+        points.forEach((pt, i) => {
+          const { x, y } = project(pt.x, -pt.y);
           if (i === 0) {
-            ctx.moveTo(x, y);
+            bctx.moveTo(x, y);
           } else {
-            ctx.lineTo(x, y);
+            bctx.lineTo(x, y);
           }
-        }
+        });
+        bctx.stroke();
       });
-      ctx.stroke();
-    });
+      minimapCacheRef.current = { model: graphModel, base, theme, bitmap };
+    }
+    ctx.drawImage(minimapCacheRef.current.bitmap, 0, 0);
+
+    // The highlighted node and its neighbors on top
+    if (highlightNode && graphModel.nodes.has(highlightNode)) {
+      const { predecessors, successors } = getNeighbors(highlightNode);
+      ctx.fillStyle = '#2196f3';
+      predecessors.forEach(name => drawNode(ctx, graphModel.nodes.get(name)));
+      ctx.fillStyle = '#ff9800';
+      successors.forEach(name => drawNode(ctx, graphModel.nodes.get(name)));
+      ctx.fillStyle = '#4caf50';
+      drawNode(ctx, graphModel.nodes.get(highlightNode));
+    }
+
+    // Draw the visible part of the graph (wider than the viewBox when aspect ratios differ)
+    const rect = svg.getBoundingClientRect();
+    if (rect.width > 0 && rect.height > 0) {
+      const topLeft = clientToSvg(svg, rect.left, rect.top);
+      const bottomRight = clientToSvg(svg, rect.right, rect.bottom);
+      const vx = (topLeft.x - base.x) * scale;
+      const vy = (topLeft.y - base.y) * scale;
+      const vw = (bottomRight.x - topLeft.x) * scale;
+      const vh = (bottomRight.y - topLeft.y) * scale;
+      ctx.fillStyle = 'rgba(0, 122, 204, 0.12)';
+      ctx.fillRect(vx, vy, vw, vh);
+      ctx.strokeStyle = theme.focusBorder;
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(vx, vy, vw, vh);
+    }
 
     // Draw border
-    ctx.strokeStyle = darkMode ? '#555' : '#ddd';
+    ctx.strokeStyle = theme.border;
     ctx.lineWidth = 1;
     ctx.strokeRect(0, 0, canvas.width, canvas.height);
-  }, [showMinimap, darkMode, hoveredNode, getNeighbors]);
+  }, [showMinimap, theme, highlightNode, getNeighbors, graphModel]);
 
-  // Update minimap when SVG changes
+  // Update minimap when SVG or viewport changes
   useEffect(() => {
     if (!loading) {
       renderMinimap();
     }
-  }, [loading, renderMinimap, hoveredNode]);
-
-  // Get node order from DOT (parse node declarations)
-  const getNodeOrder = useCallback(() => {
-    const nodeMatches = dotSource.matchAll(/"([^"]+)"\s*\[/g);
-    const nodes = [];
-    for (const match of nodeMatches) {
-      if (!nodes.includes(match[1])) {
-        nodes.push(match[1]);
-      }
-    }
-    return nodes;
-  }, [dotSource]);
+  }, [loading, renderMinimap, viewBox]);
 
+  // Click or drag on the minimap to move the viewport there
+  const onMinimapPointer = useCallback((e) => {
+    const canvas = minimapRef.current;
+    const base = baseViewBoxRef.current;
+    if (!canvas || !base) return;
+    if (e.type === 'pointermove' && !(e.buttons & 1)) return;
+    if (e.type === 'pointerdown') canvas.setPointerCapture(e.pointerId);
+    e.stopPropagation();
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / base.w;
+    const cx = (e.clientX - rect.left) * (canvas.width / rect.width);
+    const cy = (e.clientY - rect.top) * (canvas.height / rect.height);
+    centerOn(base.x + cx / scale, base.y + cy / scale);
+  }, [centerOn]);
+
+  // Lay out and mount the graph. Only a new source, engine or theme gets here;
+  // highlighting is handled by the overlay effects above.
   useEffect(() => {
     let mounted = true;
 
@@ -535,83 +1601,424 @@ export default function DotVisualization(props) {
       try {
         setLoading(true);
         setError(null);
+        setGraphvizMessages([]);
+        setLayoutStopped(null);
+        // A huge graph waits for the go-ahead from the size warning
+        if (!renderApproved) {
+          if (containerRef.current) containerRef.current.innerHTML = '';
+          svgRef.current = null;
+          shownLayoutRef.current = null;
+          setGraphModel(EMPTY_MODEL);
+          setLoading(false);
+          return;
+        }
+        setLayoutStartedAt(Date.now());
 
-        const viz = await instance();
-        const svgElement = viz.renderSVGElement(dotSource, { engine });
+        if (!layoutRunnerRef.current) layoutRunnerRef.current = createLayoutRunner();
+        const layout = await layoutRunnerRef.current.run(displaySource, layoutOptions, { timeoutMs: layoutTimeout });
+        const svgElement = svgElementFrom(layout);
 
-        if (mounted && containerRef.current) {
+        // Coming from the error view, the container may not be back yet
+        if (mounted && !containerRef.current) {
+          setRetryCount(n => n + 1);
+          return;
+        }
+        if (mounted) {
+          const previous = svgRef.current && shownLayoutRef.current
+            ? { svg: svgRef.current, model: shownLayoutRef.current.model }
+            : null;
           containerRef.current.innerHTML = '';
 
+          // Fill the width; cap the height so large graphs are navigated by pan/zoom
+          // instead of being shrunk until their labels are unreadable
+          const naturalHeight = parseFloat(svgElement.getAttribute('height')) * PT_TO_PX;
+          svgElement.style.width = '100%';
+          svgElement.style.height = `${Math.min(naturalHeight || MAX_VIEWPORT_HEIGHT, MAX_VIEWPORT_HEIGHT)}px`;
+          svgElement.style.display = 'block';
+          svgElement.style.boxSizing = 'border-box';
+          svgElement.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+          // Keep the current view when only the theme changed; refit on a new layout
+          const layoutKey = layoutKeyOf(displaySource, layoutOptions);
+          const relayout = layoutKeyRef.current !== layoutKey;
+          // (or after moving nodes by hand, which shouldn't jump the view either)
+          const keepView = keepViewRef.current;
+          keepViewRef.current = null;
+          if ((relayout && !keepView) || !viewBoxRef.current) {
+            layoutKeyRef.current = layoutKey;
+            baseViewBoxRef.current = parseViewBox(svgElement);
+            // Back to the saved view if this is the layout it was saved on
+            const restore = restoreViewRef.current;
+            if (restore && restore.layout === hashString(layoutKey)) {
+              restoreViewRef.current = null;
+              updateViewBox({ ...restore.viewBox });
+            } else {
+              if (restore && --restore.tries === 0) restoreViewRef.current = null;
+              updateViewBox({ ...baseViewBoxRef.current });
+            }
+          } else if (relayout) {
+            layoutKeyRef.current = layoutKey;
+            baseViewBoxRef.current = parseViewBox(svgElement);
+            // Graphviz moves the drawing so it starts at the origin; follow the anchor
+            const before = previous?.model.nodes.get(keepView.anchor)?.pos;
+            const after = layout.model.nodes.get(keepView.anchor)?.pos;
+            let { x, y } = viewBoxRef.current;
+            if (before && after) {
+              const from = graphTransform(previous.svg)(before.x, -before.y);
+              const to = graphTransform(svgElement)(after.x, -after.y);
+              x += to.x - from.x;
+              y += to.y - from.y;
+            }
+            updateViewBox({ ...viewBoxRef.current, x, y });
+            svgElement.setAttribute('viewBox', formatViewBox(viewBoxRef.current));
+          } else {
+            svgElement.setAttribute('viewBox', formatViewBox(viewBoxRef.current));
+          }
+
           // Apply theme-aware styling
-          svgElement.style.maxWidth = '100%';
-          svgElement.style.height = 'auto';
           svgElement.style.borderRadius = '4px';
           svgElement.style.padding = '8px';
 
-          if (darkMode) {
-            svgElement.style.backgroundColor = '#1e1e1e';
-            // Invert colors for dark mode
-            svgElement.querySelectorAll('text').forEach(t => {
-              t.style.fill = '#d4d4d4';
-            });
-            svgElement.querySelectorAll('ellipse, polygon, path').forEach(el => {
-              if (el.getAttribute('stroke') === 'black' || !el.getAttribute('stroke')) {
-                el.style.stroke = '#d4d4d4';
-              }
-              if (el.getAttribute('fill') === 'none' || el.getAttribute('fill') === 'white') {
-                el.style.fill = 'transparent';
-              }
-            });
-          } else {
-            svgElement.style.backgroundColor = 'white';
-          }
+          svgElement.style.backgroundColor = graphBackground(layout.model, colorMode, theme);
+          styleGraph(svgElement, layout.model, colorMode, theme);
 
-          setupInteractivity(svgElement);
-          applyDiffHighlighting(svgElement);
-          applyAnimationHighlighting(svgElement);
-          applyNeighborHighlighting(svgElement);
+          installOverlayStyles(svgElement, graphDark);
+          const sourceClasses = new Map();
+          layout.model.nodes.forEach(node => {
+            if (sourceLocationMap.has(node.name)) addClass(sourceClasses, node.svgId, 'dot4-source');
+          });
+          layout.model.edges.forEach(edge => {
+            if (sourceLocationMap.has(edge.id)) addClass(sourceClasses, edge.svgId, 'dot4-source');
+          });
+          setOverlay(svgElement, 'source', sourceClasses);
+          makeAccessible(svgElement, layout.model);
 
           svgRef.current = svgElement;
           containerRef.current.appendChild(svgElement);
+          // Tween to the new layout, except after a drop (the dropped node is already
+          // in place) and for large graphs
+          const large = isLargeGraph(layout.model.nodes.size + layout.model.edges.length, largeGraphThreshold);
+          if (previous && relayout && transitionsRef.current && !keepView && !large) {
+            animateTransition(svgElement, layout.model, previous);
+          }
+          shownLayoutRef.current = layout;
+          setGraphvizMessages(layout.warnings);
+          setGraphModel(layout.model);
+          if (displaySource === baseSource) setSourceModel({ dotSource: baseSource, model: layout.model });
+          setRenderCount(n => n + 1);
           setLoading(false);
+          setLayoutStartedAt(null);
         }
       } catch (err) {
-        if (mounted) {
+        // A newer render superseded this one; it will report for itself
+        if (!mounted) return;
+        if (err instanceof LayoutCancelledError || err instanceof LayoutTimeoutError) {
+          setLayoutStopped(err.message);
+        } else {
+          if (err instanceof GraphvizError) setGraphvizMessages(err.errors);
           setError(err.message || 'Failed to render graph');
-          setLoading(false);
         }
+        setLoading(false);
+        setLayoutStartedAt(null);
       }
     }
 
     renderGraph();
     return () => { mounted = false; };
-  }, [dotSource, engine, darkMode, hoveredNode, setupInteractivity, applyDiffHighlighting, applyAnimationHighlighting, applyNeighborHighlighting]);
+  }, [displaySource, baseSource, layoutOptions, layoutTimeout, retryCount, theme, colorMode, graphDark, sourceLocationMap, updateViewBox,
+    renderApproved, largeGraphThreshold]);
 
-  // Error display with better formatting
-  if (error) {
-    // Parse error for line/column info
-    const lineMatch = error.match(/line (\d+)/i);
-    const colMatch = error.match(/col(?:umn)? (\d+)/i);
+  // Stop the layout worker when the widget goes away
+  useEffect(() => () => layoutRunnerRef.current?.dispose(), []);
+
+  // Thumbnails for the gallery grid, in the current engine and colors
+  useEffect(() => {
+    if (!graphs || !galleryGrid) return undefined;
+    const stop = renderThumbnails(graphs, { engine }, {
+      mode: colorMode,
+      theme,
+      timeoutMs: layoutTimeout,
+      onThumbnail: (i, url) => setThumbnails(prev => Object.assign([...prev], { [i]: url }))
+    });
+    return () => {
+      stop();
+      setThumbnails([]);
+    };
+  }, [graphs, galleryGrid, engine, colorMode, theme, layoutTimeout]);
+
+  // Tabs of the gallery: arrow keys move between them
+  const onGalleryTabKeyDown = (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const next = (currentIndex + (e.key === 'ArrowRight' ? 1 : -1) + graphs.length) % graphs.length;
+    setGraphIndex(next);
+    e.currentTarget.querySelectorAll('[role="tab"]')[next]?.focus();
+  };
+
+  // Elapsed-time indicator while a layout is running
+  useEffect(() => {
+    if (layoutStartedAt === null) return;
+    setElapsed(0);
+    const timer = setInterval(() => setElapsed(Date.now() - layoutStartedAt), 100);
+    return () => clearInterval(timer);
+  }, [layoutStartedAt]);
+
+  const cancelLayout = useCallback(() => {
+    layoutRunnerRef.current?.cancel();
+  }, []);
+
+  // Shared style for toolbar buttons
+  const toolbarButton = (active = false) => buttonStyle(theme, active);
+
+  // Graphviz's messages located in the DOT text being laid out
+  const diagnostics = useMemo(
+    () => locateDiagnostics(graphvizMessages, displaySource),
+    [graphvizMessages, displaySource]
+  );
+  const warnings = diagnostics.filter(d => d.level === 'warning');
+
+  // Context menu entries: { label, action, disabled } where `disabled` is the
+  // reason the entry doesn't apply, and null for a separator
+  const contextMenuItems = (() => {
+    if (!contextMenu) return [];
+    const copy = (text) => copyToClipboard(text).catch(() => {});
+    const hit = contextMenu.hit;
+    if (hit?.kind === 'node') {
+      const name = hit.item.name;
+      const structural = hit.item.attributes[SUMMARY_ATTRIBUTE] ? 'Not available for a collapsed cluster' : false;
+      const directed = graphModel.directed ? false : 'Only for directed graphs';
+      return [
+        { label: '📍 Go to source', action: () => goToSource(name), disabled: !sourceLocationMap.has(name) && 'No source location for this node' },
+        { label: 'Copy ID', action: () => copy(name) },
+        { label: 'Copy label', action: () => copy(hit.item.label) },
+        null,
+        { label: 'Hide', action: () => setHiddenNodes(prev => new Set(prev).add(name)), disabled: structural },
+        { label: 'Show only ancestors', action: () => focusOn(name, { hops: Infinity, direction: 'in' }), disabled: structural || directed },
+        { label: 'Show only descendants', action: () => focusOn(name, { hops: Infinity, direction: 'out' }), disabled: structural || directed },
+        { label: '◎ Focus neighborhood', action: () => focusOn(name), disabled: structural },
+        null,
+        {
+          label: 'Set as path start',
+          action: () => { setPathStart(name); if (pathEnd === name) setPathEnd(null); },
+          disabled: structural
+        },
+        {
+          label: 'Set as path end',
+          action: () => { setPathEnd(name); if (pathStart === name) setPathStart(null); },
+          disabled: structural
+        }
+      ];
+    }
+    if (hit?.kind === 'edge') {
+      const edge = hit.item;
+      return [
+        { label: '📍 Go to source', action: () => goToSource(edge.id), disabled: !sourceLocationMap.has(edge.id) && 'No source location for this edge' },
+        { label: 'Copy ID', action: () => copy(edge.id) },
+        { label: 'Copy label', action: () => copy(edge.label), disabled: !edge.label && 'This edge has no label' },
+        null,
+        { label: 'Highlight endpoints', action: () => setHighlightedEdge(edge.key) }
+      ];
+    }
+    return [
+      { label: '⤢ Fit to view', action: fitToView },
+      { label: '↺ Reset view', action: resetView },
+      {
+        label: hiddenNodes.size > 0 ? `Reset hidden elements (${hiddenNodes.size})` : 'Reset hidden elements',
+        action: () => { setHiddenNodes(new Set()); setFocusTrail([]); },
+        disabled: hiddenNodes.size === 0 && !scope && 'Nothing is hidden'
+      },
+      null,
+      { label: '📥 Export…', action: () => setExportOpen(true) },
+      { label: 'Copy DOT', action: () => runExport('dot', true) }
+    ];
+  })();
+
+  // Arrow keys move between enabled entries, Escape closes the menu
+  const onMenuKeyDown = (e) => {
+    const enabled = contextMenuItems.flatMap((item, i) => (item && !item.disabled ? [i] : []));
+    if (e.key === 'Escape' || e.key === 'Tab') {
+      e.preventDefault();
+      setContextMenu(null);
+    } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && enabled.length > 0) {
+      e.preventDefault();
+      const at = enabled.indexOf(menuIndex);
+      const next = e.key === 'ArrowDown'
+        ? enabled[(at + 1) % enabled.length]
+        : enabled[at < 0 ? enabled.length - 1 : (at - 1 + enabled.length) % enabled.length];
+      setMenuIndex(next);
+      menuRef.current?.querySelector(`[data-index="${next}"]`)?.focus();
+    }
+  };
+
+  // One message: its line, the DOT around it and a link to the Lean source of
+  // the element it's about, when there is one
+  const renderDiagnostic = (d, index) => (
+    <div key={index} style={{ marginTop: index > 0 ? '12px' : 0 }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <strong>{d.level === 'error' ? 'Graphviz Error:' : 'Graphviz Warning:'}</strong>
+        {d.line !== null && <span style={{ opacity: 0.8 }}>Line {d.line}</span>}
+        {d.elementId !== null && sourceLocationMap.has(d.elementId) && (
+          <button
+            onClick={() => goToSource(d.elementId)}
+            style={toolbarButton()}
+            title={`Go to the source definition of ${d.elementId}`}
+          >
+            📍 Go to source
+          </button>
+        )}
+      </div>
+      <pre style={{ margin: '4px 0 0 0', whiteSpace: 'pre-wrap' }}>{d.message}</pre>
+      {d.snippet.length > 0 && (
+        <pre style={{
+          margin: '4px 0 0 0',
+          padding: '4px 0',
+          borderRadius: '3px',
+          overflowX: 'auto',
+          backgroundColor: theme.inputBackground,
+          color: theme.foreground
+        }}>
+          {d.snippet.map(line => (
+            <div
+              key={line.number}
+              style={{
+                padding: '0 8px',
+                backgroundColor: line.current ? theme.activeBackground : undefined,
+                fontWeight: line.current ? 'bold' : undefined
+              }}
+            >
+              <span style={{ display: 'inline-block', minWidth: '3em', opacity: 0.6, userSelect: 'none' }}>
+                {line.number}
+              </span>
+              {line.text}
+            </div>
+          ))}
+        </pre>
+      )}
+    </div>
+  );
+
+  // Gallery navigation: previous/next, the tabs, and the grid toggle
+  const galleryBar = graphs && (
+    <GalleryBar
+      theme={theme}
+      graphs={graphs}
+      currentIndex={currentIndex}
+      setGraphIndex={setGraphIndex}
+      stepGraph={stepGraph}
+      onGalleryTabKeyDown={onGalleryTabKeyDown}
+      galleryGrid={galleryGrid}
+      setGalleryGrid={setGalleryGrid}
+    />
+  );
 
+  // Engine choice and the options toggle; shown in the error view too, so a bad
+  // option or engine can be taken back
+  const layoutControls = (
+    <>
+      <span style={{
+        fontSize: '11px',
+        opacity: 0.7,
+        color: theme.foreground
+      }}>Layout:</span>
+      {ENGINES.map(eng => (
+        <button
+          key={eng}
+          onClick={() => { setEngine(eng); setManualLayout(null); }}
+          style={{
+            padding: '2px 8px',
+            fontSize: '11px',
+            border: engine === eng && !manualActive ? `1px solid ${theme.focusBorder}` : `1px solid ${theme.buttonBorder}`,
+            borderRadius: '3px',
+            backgroundColor: engine === eng && !manualActive
+              ? theme.activeBackground
+              : theme.buttonBackground,
+            color: theme.foreground,
+            cursor: 'pointer'
+          }}
+        >
+          {eng}
+        </button>
+      ))}
+      <button
+        onClick={() => setShowOptions(!showOptions)}
+        style={toolbarButton(showOptions || !!overrides)}
+        title="Layout options: try graph, node and edge attributes without editing the source"
+        aria-expanded={showOptions}
+      >
+        ⚙ Options{overrides ? ` (${Object.values(overrides).reduce((n, attrs) => n + Object.keys(attrs).length, 0)})` : ''}
+      </button>
+    </>
+  );
+
+  const resetViewButton = (
+    <button
+      onClick={resetView}
+      style={toolbarButton()}
+      title={stateKey
+        ? 'Reset view: back to the default engine, zoom, panels and selection, and forget the saved view'
+        : 'Reset view: back to the default engine, zoom, panels and selection'}
+    >
+      ↺ Reset view
+    </button>
+  );
+
+  // Layout options: attribute overrides for the current engine
+  const optionsPanel = showOptions && (
+    <OptionsPanel
+      theme={theme}
+      engine={engine}
+      layoutOverrides={layoutOverrides}
+      overrides={overrides}
+      sourceAttributes={sourceModel.model.attributes}
+      setOverride={setOverride}
+      resetOverrides={() => setLayoutOverrides(NO_OVERRIDES)}
+      copyValue={copyValue}
+      copiedValue={copiedValue}
+    />
+  );
+
+  // Failed layouts show what Graphviz reported instead of the graph
+  if (error) {
     return (
-      <div style={{
-        padding: '12px',
-        backgroundColor: darkMode ? '#3d1f1f' : '#ffebee',
-        color: darkMode ? '#ff8a80' : '#c62828',
-        borderRadius: '4px',
-        fontFamily: 'monospace',
-        fontSize: '12px'
-      }}>
-        <strong>Graphviz Error:</strong>
-        {lineMatch && <span style={{ marginLeft: '8px', opacity: 0.8 }}>Line {lineMatch[1]}</span>}
-        {colMatch && <span style={{ marginLeft: '4px', opacity: 0.8 }}>Col {colMatch[1]}</span>}
-        <pre style={{ margin: '8px 0 0 0', whiteSpace: 'pre-wrap' }}>{error}</pre>
+      <div>
+        {galleryBar}
+        <div style={{
+          display: 'flex',
+          gap: '4px',
+          marginBottom: '8px',
+          flexWrap: 'wrap',
+          alignItems: 'center'
+        }}>
+          {layoutControls}
+          <div style={{ flex: 1 }} />
+          {resetViewButton}
+        </div>
+        {optionsPanel}
+        <div style={{
+          padding: '12px',
+          backgroundColor: theme.errorBackground,
+          color: theme.errorForeground,
+          borderRadius: '4px',
+          fontFamily: 'monospace',
+          fontSize: '12px'
+        }}>
+          {diagnostics.length > 0
+            ? diagnostics.map(renderDiagnostic)
+            : (
+              <>
+                <strong>Graphviz Error:</strong>
+                <pre style={{ margin: '8px 0 0 0', whiteSpace: 'pre-wrap' }}>{error}</pre>
+              </>
+            )}
+        </div>
       </div>
     );
   }
 
   return (
     <div style={{ minHeight: '100px' }}>
+      {galleryBar}
+
       {/* Engine selector toolbar */}
       <div style={{
         display: 'flex',
@@ -620,106 +2027,307 @@ export default function DotVisualization(props) {
         flexWrap: 'wrap',
         alignItems: 'center'
       }}>
-        <span style={{
-          fontSize: '11px',
-          opacity: 0.7,
-          color: darkMode ? '#d4d4d4' : '#333'
-        }}>Layout:</span>
-        {ENGINES.map(eng => (
+        {layoutControls}
+        {largeGraph && (
           <button
-            key={eng}
-            onClick={() => setEngine(eng)}
-            style={{
-              padding: '2px 8px',
-              fontSize: '11px',
-              border: engine === eng ? '1px solid #007acc' : '1px solid transparent',
-              borderRadius: '3px',
-              backgroundColor: engine === eng
-                ? (darkMode ? '#264f78' : '#e3f2fd')
-                : (darkMode ? '#3c3c3c' : '#f5f5f5'),
-              color: darkMode ? '#d4d4d4' : '#333',
-              cursor: 'pointer'
-            }}
+            onClick={() => setEngine('sfdp')}
+            disabled={engine === 'sfdp'}
+            style={toolbarButton()}
+            title={`Large graph (${shownSize} nodes and edges): labels and arrowheads are hidden when zoomed out${engine === 'sfdp' ? '' : '; sfdp lays out large graphs much faster'}`}
           >
-            {eng}
+            🐘 {shownSize}{engine === 'sfdp' ? '' : ' · try sfdp'}
           </button>
-        ))}
+        )}
         {isDiff && (
           <span style={{
             marginLeft: '16px',
             fontSize: '11px',
-            color: darkMode ? '#d4d4d4' : '#333'
+            color: theme.foreground
           }}>
             <span style={{ color: '#4caf50' }}>● Added</span>
             {' '}
             <span style={{ color: '#f44336' }}>● Removed</span>
+            {' '}
+            <span style={{ color: '#ffb300' }}>● Modified</span>
+            <span style={{ marginLeft: '8px', opacity: 0.8, fontFamily: 'monospace' }} title="Node and edge changes">
+              +{addedNodes.size}/-{removedNodes.size}/~{modifiedNodes.size} nodes,
+              {' '}+{addedEdges.size}/-{removedEdges.size}/~{modifiedEdges.size} edges
+            </span>
+          </span>
+        )}
+        {isDiff && props.oldDotSource && props.newDotSource && (
+          <span style={{ display: 'flex', gap: '2px', marginLeft: '8px' }}>
+            {[['old', 'Old'], ['merged', 'Merged'], ['new', 'New']].map(([view, name]) => (
+              <button
+                key={view}
+                onClick={() => setDiffView(view)}
+                style={toolbarButton(diffView === view)}
+                title={view === 'merged' ? 'Both graphs with the changes highlighted' : `The ${name.toLowerCase()} graph's own layout`}
+              >
+                {name}
+              </button>
+            ))}
           </span>
         )}
 
         {/* Spacer */}
         <div style={{ flex: 1 }} />
 
-        {/* Export & Animation buttons */}
+        {/* Zoom controls */}
+        <button onClick={() => zoomBy(1 / 1.25)} disabled={loading} style={toolbarButton()} title="Zoom out">
+          −
+        </button>
+        <span style={{
+          fontSize: '11px',
+          minWidth: '36px',
+          textAlign: 'center',
+          opacity: 0.7,
+          color: theme.foreground
+        }}>
+          {viewBox && baseViewBoxRef.current
+            ? `${Math.round((baseViewBoxRef.current.w / viewBox.w) * 100)}%`
+            : '100%'}
+        </span>
+        <button onClick={() => zoomBy(1.25)} disabled={loading} style={toolbarButton()} title="Zoom in">
+          +
+        </button>
+        <button onClick={fitToView} disabled={loading} style={toolbarButton()} title="Fit graph to view">
+          ⤢ Fit
+        </button>
+        <button onClick={resetZoom} disabled={loading} style={toolbarButton()} title="Reset to natural size (1:1)">
+          1:1
+        </button>
         <button
-          onClick={() => setShowMinimap(!showMinimap)}
-          style={{
-            padding: '2px 8px',
-            fontSize: '11px',
-            border: showMinimap ? '1px solid #007acc' : '1px solid transparent',
-            borderRadius: '3px',
-            backgroundColor: showMinimap
-              ? (darkMode ? '#264f78' : '#e3f2fd')
-              : (darkMode ? '#3c3c3c' : '#f5f5f5'),
-            color: darkMode ? '#d4d4d4' : '#333',
-            cursor: 'pointer'
-          }}
-          title="Toggle minimap"
+          onClick={zoomToSelection}
+          disabled={loading || !selectedNode}
+          style={toolbarButton()}
+          title="Zoom to selected element"
         >
-          🗺️
+          ⌖ Selection
         </button>
+        {collapsedClusters.size > 0 && (
+          <button
+            onClick={() => setCollapsedClusters(new Set())}
+            style={toolbarButton(true)}
+            title="Expand all collapsed clusters"
+          >
+            ⊞ Expand all ({collapsedClusters.size})
+          </button>
+        )}
+        {canEditSource && props.sourceBlock && (
+          <button
+            onClick={() => { setConnectMode(!connectMode); setEditLayout(false); }}
+            disabled={loading}
+            style={toolbarButton(connectMode)}
+            title="Connect: drag from one node to another to add an edge to the Lean source"
+            aria-pressed={connectMode}
+          >
+            🔗 Connect
+          </button>
+        )}
+        <button
+          onClick={() => focusOn(selectedNode.id)}
+          disabled={loading || !focusableSelection}
+          style={toolbarButton(!!scope)}
+          title="Focus: lay out only the nodes around the selected node (F on a focused node)"
+        >
+          ◎ Focus
+        </button>
+        {hiddenNodes.size > 0 && (
+          <button
+            onClick={() => setHiddenNodes(new Set())}
+            style={toolbarButton(true)}
+            title="Show the hidden nodes again"
+          >
+            👁 {hiddenNodes.size} hidden ✕
+          </button>
+        )}
         <button
-          onClick={exportSVG}
+          onClick={() => { setEditLayout(!editLayout); setConnectMode(false); }}
           disabled={loading}
+          style={toolbarButton(editLayout)}
+          title="Edit layout: drag nodes to move and pin them"
+          aria-pressed={editLayout}
+        >
+          ✋ Edit layout
+        </button>
+        {(editLayout || manualActive) && (
+          <select
+            value={edgeRouting}
+            onChange={(e) => changeEdgeRouting(e.target.value)}
+            title="How edges are routed after moving nodes"
+            aria-label="Edge routing"
+            style={{
+              fontSize: '11px',
+              backgroundColor: theme.inputBackground,
+              color: theme.foreground,
+              border: `1px solid ${theme.border}`,
+              borderRadius: '3px'
+            }}
+          >
+            {Object.keys(EDGE_ROUTING).map(routing => (
+              <option key={routing} value={routing}>{routing === 'spline' ? 'Spline edges' : 'Straight edges'}</option>
+            ))}
+          </select>
+        )}
+        {manualActive && (
+          <>
+            <span style={{ fontSize: '11px', opacity: 0.8, color: theme.foreground }}>
+              📌 {manualLayout.pinned.size} pinned
+            </span>
+            <button
+              onClick={relayoutAroundPins}
+              disabled={loading}
+              style={toolbarButton()}
+              title="Lay out the graph again with neato, keeping the pinned nodes in place"
+            >
+              ↻ Re-layout
+            </button>
+            <button
+              onClick={() => setManualLayout(null)}
+              disabled={loading}
+              style={toolbarButton()}
+              title={`Discard the manual layout and go back to ${engine}`}
+            >
+              ⟲ Reset
+            </button>
+          </>
+        )}
+
+        <select
+          value={metric ?? ''}
+          onChange={(e) => setMetric(e.target.value || null)}
+          title="Color nodes by a metric"
+          aria-label="Metrics"
           style={{
-            padding: '2px 8px',
             fontSize: '11px',
-            border: '1px solid transparent',
-            borderRadius: '3px',
-            backgroundColor: darkMode ? '#3c3c3c' : '#f5f5f5',
-            color: darkMode ? '#d4d4d4' : '#333',
-            cursor: 'pointer'
+            backgroundColor: metric ? theme.activeBackground : theme.inputBackground,
+            color: theme.foreground,
+            border: `1px solid ${metric ? theme.focusBorder : theme.border}`,
+            borderRadius: '3px'
           }}
-          title="Export as SVG"
         >
-          📥 SVG
+          <option value="">📊 Metrics</option>
+          {Object.entries(METRICS).map(([key, m]) => (
+            <option
+              key={key}
+              value={key}
+              disabled={!metricAvailable(m)}
+              title={m.expensive && largeGraph ? 'Too slow to compute for a graph this large' : undefined}
+            >
+              {m.label}
+            </option>
+          ))}
+        </select>
+
+        {cyclicParts && (
+          <button
+            onClick={() => setCycleMode(!cycleMode)}
+            disabled={cyclicParts.length === 0}
+            style={toolbarButton(cyclesShown)}
+            title={cyclicParts.length === 0
+              ? 'The graph is acyclic'
+              : 'Show the strongly connected components and cycles'}
+            aria-pressed={cyclesShown}
+          >
+            {cyclicParts.length === 0
+              ? 'DAG ✓'
+              : cycleInfo?.listed
+                ? `⟳ ${cycleInfo.cycles.length}${cycleInfo.complete ? '' : '+'} ` +
+                  `cycle${cycleInfo.cycles.length === 1 ? '' : 's'}`
+                : '⟳ Cycles'}
+          </button>
+        )}
+
+        {/* Export & Animation buttons */}
+        <select
+          value={colorMode}
+          onChange={(e) => setColorMode(e.target.value)}
+          title="Graph colors"
+          aria-label="Graph colors"
+          style={{
+            fontSize: '11px',
+            backgroundColor: theme.inputBackground,
+            color: theme.foreground,
+            border: `1px solid ${theme.border}`,
+            borderRadius: '3px'
+          }}
+        >
+          {COLOR_MODES.map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+        </select>
+        <button
+          onClick={() => setTransitions(!transitions)}
+          style={toolbarButton(transitions)}
+          title={transitions ? 'Animated transitions between layouts: on' : 'Animated transitions between layouts: off'}
+        >
+          ✨
         </button>
         <button
-          onClick={exportPNG}
-          disabled={loading}
+          onClick={() => setShowMinimap(!showMinimap)}
           style={{
             padding: '2px 8px',
             fontSize: '11px',
-            border: '1px solid transparent',
+            border: showMinimap ? `1px solid ${theme.focusBorder}` : `1px solid ${theme.buttonBorder}`,
             borderRadius: '3px',
-            backgroundColor: darkMode ? '#3c3c3c' : '#f5f5f5',
-            color: darkMode ? '#d4d4d4' : '#333',
+            backgroundColor: showMinimap
+              ? theme.activeBackground
+              : theme.buttonBackground,
+            color: theme.foreground,
             cursor: 'pointer'
           }}
-          title="Export as PNG"
+          title="Toggle minimap"
         >
-          📥 PNG
+          🗺️
         </button>
-        {!animating ? (
+        {resetViewButton}
+        {warnings.length > 0 && (
           <button
-            onClick={() => animateNodes(props.animationOrder || getNodeOrder())}
+            onClick={() => setShowWarnings(!showWarnings)}
+            style={{ ...toolbarButton(showWarnings), color: theme.warningForeground }}
+            title="Graphviz reported warnings for this graph"
+            aria-expanded={showWarnings}
+          >
+            ⚠ {warnings.length}
+          </button>
+        )}
+        <span style={{ position: 'relative' }}>
+          <button
+            onClick={() => setExportOpen(!exportOpen)}
             disabled={loading}
+            style={toolbarButton(exportOpen)}
+            title="Export or copy the graph"
+            aria-expanded={exportOpen}
+          >
+            📥 Export ▾
+          </button>
+          {exportOpen && (
+            <ExportMenu
+              theme={theme}
+              exportRegion={exportRegion}
+              setExportRegion={setExportRegion}
+              selectionSize={selectionIds.size}
+              exportBackground={exportBackground}
+              setExportBackground={setExportBackground}
+              exportScale={exportScale}
+              setExportScale={setExportScale}
+              exportHighlights={exportHighlights}
+              setExportHighlights={setExportHighlights}
+              runExport={runExport}
+              exportStatus={exportStatus}
+            />
+          )}
+        </span>
+        {animationStep < 0 ? (
+          <button
+            onClick={startAnimation}
+            disabled={loading || animationSteps.length === 0}
             style={{
               padding: '2px 8px',
               fontSize: '11px',
-              border: '1px solid transparent',
+              border: `1px solid ${theme.buttonBorder}`,
               borderRadius: '3px',
-              backgroundColor: darkMode ? '#3c3c3c' : '#f5f5f5',
-              color: darkMode ? '#d4d4d4' : '#333',
+              backgroundColor: theme.buttonBackground,
+              color: theme.foreground,
               cursor: 'pointer'
             }}
             title="Animate node traversal"
@@ -734,7 +2342,7 @@ export default function DotVisualization(props) {
               fontSize: '11px',
               border: '1px solid #ff9800',
               borderRadius: '3px',
-              backgroundColor: darkMode ? '#4a3000' : '#fff3e0',
+              backgroundColor: theme.warningBackground,
               color: '#ff9800',
               cursor: 'pointer'
             }}
@@ -745,14 +2353,249 @@ export default function DotVisualization(props) {
         )}
       </div>
 
+      {optionsPanel}
+
+      {/* Animation player */}
+      {animationStep >= 0 && (
+        <AnimationPlayer
+          theme={theme}
+          animationSteps={animationSteps}
+          animationStep={animationStep}
+          playing={playing}
+          animationSpeed={animationSpeed}
+          stepAnimation={stepAnimation}
+          togglePlaying={togglePlaying}
+          seekAnimation={(step) => { setPlaying(false); setAnimationStep(step); }}
+          setAnimationSpeed={setAnimationSpeed}
+        />
+      )}
+
+      {/* Search and filter bar */}
+      <SearchBar
+        theme={theme}
+        searchQuery={searchQuery}
+        setSearchQuery={setSearchQuery}
+        onSearchKeyDown={onSearchKeyDown}
+        searchRegex={searchRegex}
+        setSearchRegex={setSearchRegex}
+        matcher={matcher}
+        searchMatches={searchMatches}
+        searchIndex={searchIndex}
+        stepSearch={stepSearch}
+        filterMatches={filterMatches}
+        setFilterMatches={setFilterMatches}
+        filterHops={filterHops}
+        setFilterHops={setFilterHops}
+      />
+
+      {/* Focus mode: breadcrumbs, radius and direction */}
+      {scope && (
+        <FocusBar
+          theme={theme}
+          scope={scope}
+          focusTrail={focusTrail}
+          setFocusTrail={setFocusTrail}
+          focusOptions={focusOptions}
+          changeFocusOptions={changeFocusOptions}
+          graphModel={graphModel}
+          sourceGraph={sourceModel.model}
+        />
+      )}
+
       {loading && (
-        <div style={{ padding: '12px', color: darkMode ? '#888' : '#666' }}>
-          Rendering graph...
+        <div style={{
+          padding: '12px',
+          color: theme.muted,
+          display: 'flex',
+          gap: '12px',
+          alignItems: 'center',
+          fontSize: '12px'
+        }}>
+          <span>
+            Laying out with {layoutOptions.engine}… {(elapsed / 1000).toFixed(1)}s
+            {layoutTimeout > 0 && <span style={{ opacity: 0.7 }}> / {(layoutTimeout / 1000).toFixed(0)}s</span>}
+          </span>
+          {layoutTimeout > 0 && (
+            <div style={{
+              width: '80px',
+              height: '4px',
+              borderRadius: '2px',
+              backgroundColor: theme.border,
+              overflow: 'hidden'
+            }}>
+              <div style={{
+                width: `${Math.min(100, (elapsed / layoutTimeout) * 100)}%`,
+                height: '100%',
+                backgroundColor: theme.focusBorder
+              }} />
+            </div>
+          )}
+          <button onClick={cancelLayout} style={toolbarButton()} title="Stop this layout">
+            ✕ Cancel
+          </button>
         </div>
       )}
 
-      <div style={{ position: 'relative' }}>
-        <div ref={containerRef} />
+      {showWarnings && warnings.length > 0 && !loading && (
+        <div style={{
+          padding: '8px 12px',
+          marginBottom: '8px',
+          borderRadius: '4px',
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          backgroundColor: theme.warningBackground,
+          color: theme.warningForeground
+        }}>
+          {warnings.map(renderDiagnostic)}
+        </div>
+      )}
+
+      {editStatus && (
+        <div role="status" style={{
+          padding: '6px 12px',
+          marginBottom: '8px',
+          borderRadius: '4px',
+          fontSize: '12px',
+          backgroundColor: theme.widgetBackground,
+          color: theme.foreground,
+          border: `1px solid ${theme.border}`
+        }}>
+          {editStatus}
+        </div>
+      )}
+
+      {layoutStopped && !loading && (
+        <div style={{
+          padding: '8px 12px',
+          marginBottom: '8px',
+          borderRadius: '4px',
+          fontSize: '12px',
+          display: 'flex',
+          gap: '12px',
+          alignItems: 'center',
+          backgroundColor: theme.warningBackground,
+          color: theme.warningForeground
+        }}>
+          <span>{layoutStopped}. Try a faster engine such as sfdp, or retry.</span>
+          <button onClick={() => setRetryCount(n => n + 1)} style={toolbarButton()} title="Run the layout again">
+            ↻ Retry
+          </button>
+        </div>
+      )}
+
+      {!renderApproved && (
+        <div role="alert" style={{
+          padding: '8px 12px',
+          marginBottom: '8px',
+          borderRadius: '4px',
+          fontSize: '12px',
+          display: 'flex',
+          gap: '12px',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          backgroundColor: theme.warningBackground,
+          color: theme.warningForeground
+        }}>
+          <span>
+            This graph has about {sourceSize.nodes} nodes and {sourceSize.edges} edges. Laying it out and drawing
+            it can take a long time{engine === 'sfdp' ? '' : '; sfdp is the fastest engine for graphs this size'}.
+          </span>
+          {engine !== 'sfdp' && (
+            <button onClick={() => { setEngine('sfdp'); setApprovedSource(baseSource); }} style={toolbarButton()}>
+              Render with sfdp
+            </button>
+          )}
+          <button onClick={() => setApprovedSource(baseSource)} style={toolbarButton()}>
+            Render with {engine}
+          </button>
+        </div>
+      )}
+
+      {/* Gallery grid; it takes the place of the graph until one is opened */}
+      {graphs && galleryGrid && (
+        <GalleryGrid
+          theme={theme}
+          graphs={graphs}
+          currentIndex={currentIndex}
+          thumbnails={thumbnails}
+          colorMode={colorMode}
+          openGraph={(i) => { setGraphIndex(i); setGalleryGrid(false); }}
+        />
+      )}
+
+      <div style={{ position: 'relative', display: graphs && galleryGrid ? 'none' : undefined }}>
+        <div
+          ref={containerRef}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+          onClickCapture={onClickCapture}
+          onClick={onGraphClick}
+          onDoubleClick={onGraphDoubleClick}
+          onMouseOver={onGraphMouseOver}
+          onMouseOut={onGraphMouseOut}
+          onFocus={onGraphFocus}
+          onBlur={onGraphBlur}
+          onKeyDown={onGraphKeyDown}
+          onContextMenu={onGraphContextMenu}
+          style={{
+            overflow: 'hidden',
+            touchAction: 'none',
+            cursor: panning ? 'grabbing' : 'grab'
+          }}
+        />
+        <div role="status" aria-live="polite" style={{
+          position: 'absolute',
+          width: '1px',
+          height: '1px',
+          overflow: 'hidden',
+          clip: 'rect(0 0 0 0)'
+        }}>
+          {announcement}
+        </div>
+
+        {/* Attribute changes of the hovered modified element */}
+        {diffPopup && (
+          <div style={{
+            position: 'absolute',
+            left: `${diffPopup.x}px`,
+            top: `${diffPopup.y}px`,
+            padding: '6px 8px',
+            backgroundColor: theme.widgetBackground,
+            border: '1px solid #ffb300',
+            borderRadius: '4px',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.3)',
+            fontSize: '11px',
+            fontFamily: 'monospace',
+            color: theme.foreground,
+            pointerEvents: 'none',
+            zIndex: 10
+          }}>
+            <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{diffPopup.id}</div>
+            {diffPopup.changes.map(c => (
+              <div key={c.key}>
+                {c.key}: <span style={{ color: '#f44336' }}>{c.old ?? '(unset)'}</span>
+                {' → '}
+                <span style={{ color: '#4caf50' }}>{c.new ?? '(unset)'}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Context menu */}
+        {contextMenu && (
+          <ContextMenu
+            theme={theme}
+            menuRef={menuRef}
+            contextMenu={contextMenu}
+            items={contextMenuItems}
+            menuIndex={menuIndex}
+            setMenuIndex={setMenuIndex}
+            onMenuKeyDown={onMenuKeyDown}
+            closeMenu={() => setContextMenu(null)}
+          />
+        )}
 
         {/* Minimap */}
         {showMinimap && !loading && (
@@ -762,111 +2605,131 @@ export default function DotVisualization(props) {
             right: '8px',
             borderRadius: '4px',
             overflow: 'hidden',
-            boxShadow: darkMode
-              ? '0 2px 8px rgba(0,0,0,0.5)'
-              : '0 2px 8px rgba(0,0,0,0.15)',
-            border: darkMode ? '1px solid #444' : '1px solid #ddd'
+            boxShadow: theme.shadow,
+            border: `1px solid ${theme.border}`
           }}>
             <canvas
               ref={minimapRef}
+              onPointerDown={onMinimapPointer}
+              onPointerMove={onMinimapPointer}
               style={{
                 display: 'block',
                 maxWidth: '150px',
-                maxHeight: '100px'
+                maxHeight: '100px',
+                cursor: 'crosshair',
+                touchAction: 'none'
               }}
+              title="Click or drag to move the view"
             />
           </div>
         )}
       </div>
 
       {/* Hover info - neighbor counts */}
-      {hoveredNode && (
+      {highlightNode && (
         <div style={{
           marginTop: '8px',
           padding: '8px',
-          backgroundColor: darkMode ? '#2d2d2d' : '#f5f5f5',
+          backgroundColor: theme.widgetBackground,
           borderRadius: '4px',
           fontSize: '12px',
           fontFamily: 'monospace',
-          color: darkMode ? '#d4d4d4' : '#333',
+          color: theme.foreground,
           display: 'flex',
           gap: '16px',
           alignItems: 'center'
         }}>
-          <span><strong>{hoveredNode}</strong></span>
+          <span><strong>{highlightNode}</strong></span>
           <span style={{ color: '#2196f3' }}>
-            ← {getNeighbors(hoveredNode).predecessors.size} in
+            ← {getNeighbors(highlightNode).predecessors.size} in
           </span>
           <span style={{ color: '#ff9800' }}>
-            → {getNeighbors(hoveredNode).successors.size} out
+            → {getNeighbors(highlightNode).successors.size} out
           </span>
         </div>
       )}
 
-      {/* Selected element details */}
-      {selectedNode && !hoveredNode && (
-        <div style={{
-          marginTop: '8px',
-          padding: '8px',
-          backgroundColor: darkMode ? '#2d2d2d' : '#f5f5f5',
-          borderRadius: '4px',
-          fontSize: '12px',
-          fontFamily: 'monospace',
-          color: darkMode ? '#d4d4d4' : '#333'
-        }}>
-          {selectedNode.type === 'node' ? (
-            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '12px' }}>
-              <div>
-                <strong>Node:</strong> {selectedNode.id}<br/>
-                <strong>Label:</strong> {selectedNode.label}<br/>
-                <strong>Shape:</strong> {selectedNode.shape}
-              </div>
-              {selectedNode.hasSourceLoc && (
-                <button
-                  onClick={() => goToSource(selectedNode.id)}
-                  style={{
-                    padding: '4px 8px',
-                    fontSize: '11px',
-                    border: '1px solid #007acc',
-                    borderRadius: '3px',
-                    backgroundColor: darkMode ? '#264f78' : '#e3f2fd',
-                    color: darkMode ? '#d4d4d4' : '#333',
-                    cursor: 'pointer',
-                    whiteSpace: 'nowrap'
-                  }}
-                  title="Go to source definition (or double-click node)"
-                >
-                  📍 Go to source
-                </button>
-              )}
-            </div>
-          ) : (
-            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '12px' }}>
-              <div>
-                <strong>Edge:</strong> {selectedNode.src} → {selectedNode.dst}<br/>
-                {selectedNode.label && <><strong>Label:</strong> {selectedNode.label}</>}
-              </div>
-              {selectedNode.hasSourceLoc && (
-                <button
-                  onClick={() => goToSource(selectedNode.id)}
-                  style={{
-                    padding: '4px 8px',
-                    fontSize: '11px',
-                    border: '1px solid #007acc',
-                    borderRadius: '3px',
-                    backgroundColor: darkMode ? '#264f78' : '#e3f2fd',
-                    color: darkMode ? '#d4d4d4' : '#333',
-                    cursor: 'pointer',
-                    whiteSpace: 'nowrap'
-                  }}
-                  title="Go to source definition (or double-click edge)"
-                >
-                  📍 Go to source
-                </button>
-              )}
-            </div>
-          )}
-        </div>
+      {/* Path finder */}
+      {(pathStart || pathEnd) && (
+        <PathFinder
+          theme={theme}
+          graphModel={graphModel}
+          pathStart={pathStart}
+          pathEnd={pathEnd}
+          setPathStart={setPathStart}
+          setPathEnd={setPathEnd}
+          clearPath={clearPath}
+          pathMaxLength={pathMaxLength}
+          setPathMaxLength={setPathMaxLength}
+          pathSearch={pathSearch}
+          pathResults={pathResults}
+          pathLimit={pathLimit}
+          pathIndex={pathIndex}
+          setPathIndex={setPathIndex}
+          currentPath={currentPath}
+          sourceLocationMap={sourceLocationMap}
+          goToSource={goToSource}
+        />
+      )}
+
+      {/* Metrics legend and top-N list */}
+      {metricResult && (
+        <MetricsPanel
+          theme={theme}
+          graphModel={graphModel}
+          metric={metric}
+          setMetric={setMetric}
+          metricResult={metricResult}
+          metricSize={metricSize}
+          setMetricSize={setMetricSize}
+          metricSort={metricSort}
+          setMetricSort={setMetricSort}
+          metricTop={metricTop}
+          metricTopN={metricTopN}
+          setMetricTopN={setMetricTopN}
+          selectedNode={selectedNode}
+          selectNode={(name) => {
+            const node = graphModel.nodes.get(name);
+            if (!node) return;
+            setSelectedNode({ type: 'node', id: name, svgId: node.svgId });
+            focusNodeByName(name);
+          }}
+        />
+      )}
+
+      {/* Cycles: components with cycles and the cycles to step through */}
+      {cyclesShown && (
+        <CyclePanel
+          theme={theme}
+          cycleInfo={cycleInfo}
+          cycleIndex={cycleIndex}
+          setCycleIndex={setCycleIndex}
+          stepCycle={stepCycle}
+          currentCycle={currentCycle}
+          closeCycles={() => setCycleMode(false)}
+        />
+      )}
+
+      {/* Inspector for the selected element */}
+      {inspection && !hoveredNode && (
+        <InspectorPanel
+          theme={theme}
+          inspection={inspection}
+          selectedNode={selectedNode}
+          selectedLocation={selectedLocation}
+          pathStart={pathStart}
+          pathEnd={pathEnd}
+          setPathStart={setPathStart}
+          setPathEnd={setPathEnd}
+          renaming={renaming}
+          setRenaming={setRenaming}
+          renameSelected={renameSelected}
+          deleteSelected={deleteSelected}
+          copyValue={copyValue}
+          copiedValue={copiedValue}
+          sourceLocationMap={sourceLocationMap}
+          goToSource={goToSource}
+        />
       )}
     </div>
   );
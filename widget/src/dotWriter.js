@@ -0,0 +1,115 @@
+// Write a graph model (or part of it) back out as DOT, so the widget can lay out
+// derived graphs — filtered, collapsed, focused — with the current engine.
+// Graphviz's JSON output lists every resolved attribute on each element, so the
+// written graph keeps the original styling without needing node/edge defaults.
+
+import { LABEL_ATTRIBUTES } from './dotSyntax';
+
+// Attributes Graphviz computes during layout; they'd pin the old layout in place
+const LAYOUT_ATTRIBUTES = new Set([
+  'pos', 'bb', 'lp', 'xlp', 'head_lp', 'tail_lp', 'lwidth', 'lheight', 'rects', 'xdotversion'
+]);
+
+// Node sizes are layout output too, except for fixed-size nodes
+const SIZE_ATTRIBUTES = new Set(['width', 'height']);
+const fixedSize = (attributes) => attributes.fixedsize === 'true' || attributes.fixedsize === 'shape';
+
+// Quote a DOT ID. Backslashes are left alone: in the model they are still
+// Graphviz escapes (\N, \l, ...), not literal characters.
+export function quoteId(id) {
+  return `"${String(id).replace(/"/g, '\\"')}"`;
+}
+
+// `keep` names layout attributes to write even without keepLayout. HTML labels
+// come back from Graphviz without their outer <>; `htmlLabels` (the model's)
+// says which label values were HTML strings in the source.
+export function formatAttributes(attributes, { keepLayout = false, keep = null, htmlLabels = null } = {}) {
+  const parts = [];
+  const sized = fixedSize(attributes);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === undefined || value === null || value === '') continue;
+    const layout = LAYOUT_ATTRIBUTES.has(name) || (SIZE_ATTRIBUTES.has(name) && !sized);
+    if (!keepLayout && layout && !keep?.has(name)) continue;
+    const html = LABEL_ATTRIBUTES.has(name) && !!htmlLabels?.has(String(value));
+    parts.push(`${name}=${html ? `<${value}>` : quoteId(value)}`);
+  }
+  return parts.length > 0 ? ` [${parts.join(', ')}]` : '';
+}
+
+// Options:
+//   nodes        Set of node names to keep (default: all)
+//   edges        predicate (edge) => boolean for edges to keep; by default an edge
+//                is kept when both endpoints are
+//   nodeAttributes / edgeAttributes / clusterAttributes
+//                (element) => attribute overrides merged over the model's
+//   extraNodes   [{ name, cluster, attributes }] added to the graph
+//   extraEdges   [{ tail, head, attributes }] added to the graph
+//   graphAttributes
+//                overrides for graph-level attributes
+//   keepLayout   keep pos and other layout output attributes (default false)
+//   keepAttributes
+//                Set of layout attributes to keep anyway, e.g. the pos of pinned
+//                nodes (set by the overrides above)
+export function modelToDot(model, options = {}) {
+  const keep = options.nodes || new Set(model.nodes.keys());
+  const keepEdge = options.edges || (e => keep.has(e.tail) && keep.has(e.head));
+  const format = { keepLayout: !!options.keepLayout, keep: options.keepAttributes || null, htmlLabels: model.htmlLabels };
+  const edgeOp = model.directed ? '->' : '--';
+  const lines = [];
+
+  const graphAttributes = { ...model.attributes, ...(options.graphAttributes || {}) };
+  lines.push(`${model.strict ? 'strict ' : ''}${model.directed ? 'digraph' : 'graph'} ${quoteId(model.name)} {`);
+  const graphAttrs = formatAttributes(graphAttributes, format);
+  if (graphAttrs) lines.push(`  graph${graphAttrs}`);
+
+  // Group nodes by innermost cluster, and clusters by parent
+  const nodesIn = new Map(); // cluster name (or null) -> [node lines]
+  const addNode = (cluster, line) => {
+    if (!nodesIn.has(cluster)) nodesIn.set(cluster, []);
+    nodesIn.get(cluster).push(line);
+  };
+  for (const name of model.nodeOrder) {
+    if (!keep.has(name)) continue;
+    const node = model.nodes.get(name);
+    const attributes = { ...node.attributes, ...(options.nodeAttributes?.(node) || {}) };
+    addNode(node.cluster, `${quoteId(name)}${formatAttributes(attributes, format)}`);
+  }
+  for (const extra of options.extraNodes || []) {
+    addNode(extra.cluster || null, `${quoteId(extra.name)}${formatAttributes(extra.attributes || {})}`);
+  }
+
+  const childClusters = new Map(); // parent name (or null) -> [cluster]
+  for (const cluster of model.clusters.values()) {
+    if (!childClusters.has(cluster.parent)) childClusters.set(cluster.parent, []);
+    childClusters.get(cluster.parent).push(cluster);
+  }
+
+  // A cluster is written only if it (or a nested cluster) still has nodes
+  const hasContent = (name) =>
+    (nodesIn.get(name)?.length || 0) > 0 || (childClusters.get(name) || []).some(c => hasContent(c.name));
+
+  const writeScope = (name, indent) => {
+    for (const line of nodesIn.get(name) || []) lines.push(`${indent}${line}`);
+    for (const cluster of childClusters.get(name) || []) {
+      if (!hasContent(cluster.name)) continue;
+      lines.push(`${indent}subgraph ${quoteId(cluster.name)} {`);
+      const attrs = formatAttributes({ ...cluster.attributes, ...(options.clusterAttributes?.(cluster) || {}) }, format);
+      if (attrs) lines.push(`${indent}  graph${attrs}`);
+      writeScope(cluster.name, `${indent}  `);
+      lines.push(`${indent}}`);
+    }
+  };
+  writeScope(null, '  ');
+
+  for (const edge of model.edges) {
+    if (!keepEdge(edge)) continue;
+    const attributes = { ...edge.attributes, ...(options.edgeAttributes?.(edge) || {}) };
+    lines.push(`  ${quoteId(edge.tail)} ${edgeOp} ${quoteId(edge.head)}${formatAttributes(attributes, format)}`);
+  }
+  for (const extra of options.extraEdges || []) {
+    lines.push(`  ${quoteId(extra.tail)} ${edgeOp} ${quoteId(extra.head)}${formatAttributes(extra.attributes || {})}`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
@@ -0,0 +1,90 @@
+// Export menu: what to export (region, background, PNG scale, highlights) and
+// the download and copy buttons for each format (see exporting.js)
+
+import React from 'react';
+import { buttonStyle } from './theme';
+
+// `runExport(format, copy)` downloads the export, or copies it with `copy`
+export function ExportMenu({
+  theme, exportRegion, setExportRegion, selectionSize, exportBackground, setExportBackground,
+  exportScale, setExportScale, exportHighlights, setExportHighlights, runExport, exportStatus
+}) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '100%',
+      right: 0,
+      marginTop: '4px',
+      padding: '8px',
+      zIndex: 20,
+      minWidth: '220px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px',
+      fontSize: '11px',
+      backgroundColor: theme.widgetBackground,
+      color: theme.foreground,
+      border: `1px solid ${theme.border}`,
+      borderRadius: '4px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.3)'
+    }}>
+      {[
+        ['Region', exportRegion, setExportRegion, [
+          ['all', 'Whole graph'],
+          ['viewport', 'Viewport'],
+          ['selection', `Selection (${selectionSize})`]
+        ]],
+        ['Background', exportBackground || (theme.dark ? 'dark' : 'light'), setExportBackground, [
+          ['transparent', 'None'],
+          ['light', 'Light'],
+          ['dark', 'Dark']
+        ]],
+        ['PNG scale', exportScale, setExportScale, [
+          [1, '1× (96 DPI)'],
+          [2, '2×'],
+          [3, '3×'],
+          [4, '4× (384 DPI)']
+        ]]
+      ].map(([name, value, set, options]) => (
+        <div key={name} style={{ display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap' }}>
+          <span style={{ minWidth: '64px', opacity: 0.7 }}>{name}</span>
+          {options.map(([option, label]) => (
+            <button
+              key={option}
+              onClick={() => set(option)}
+              disabled={option === 'selection' && selectionSize === 0}
+              style={buttonStyle(theme, value === option)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      ))}
+      <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+        <input
+          type="checkbox"
+          checked={exportHighlights}
+          onChange={(e) => setExportHighlights(e.target.checked)}
+        />
+        Keep highlights (hover, search, path, diff)
+      </label>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+        <span style={{ minWidth: '64px', opacity: 0.7 }}>Download</span>
+        {['svg', 'png', 'dot'].map(format => (
+          <button key={format} onClick={() => runExport(format, false)} style={buttonStyle(theme)}>
+            {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+        <span style={{ minWidth: '64px', opacity: 0.7 }}>Copy</span>
+        {['svg', 'png', 'dot'].map(format => (
+          <button key={format} onClick={() => runExport(format, true)} style={buttonStyle(theme)}>
+            {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      {exportStatus && <div role="status" style={{ opacity: 0.8 }}>{exportStatus}</div>}
+    </div>
+  );
+}
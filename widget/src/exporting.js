@@ -0,0 +1,116 @@
+// Export of the rendered graph as SVG, PNG or DOT, to a file or the clipboard.
+//
+// Exports start from Graphviz's own SVG markup rather than the live element, so
+// they don't pick up the widget's theme, pan/zoom or highlight state unless asked.
+
+import { installOverlayStyles } from './overlays';
+import { styleGraph, graphBackground, defaultTheme } from './theme';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PT_TO_PX = 4 / 3;
+
+// File name (without extension) for a graph: its name in the DOT source
+export function graphFileName(dotSource) {
+  const match = /^\s*(?:strict\s+)?(?:di)?graph\s+("(?:[^"\\]|\\.)*"|[\w.]+)?\s*\{/i.exec(dotSource || '');
+  const name = (match?.[1] || '').replace(/^"|"$/g, '');
+  const safe = name.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+  return safe || 'graph';
+}
+
+// Build the SVG to export.
+//   markup       Graphviz's SVG output for the shown layout
+//   model        its graph model
+//   mode, theme  the widget's color mode and editor theme (see theme.js)
+//   background   'transparent' (on the editor theme's colors) | 'light' | 'dark'
+//   viewBox      { x, y, w, h } region to export (default: the whole graph)
+//   keepIds      Set of SVG group ids to keep; other nodes, edges and clusters are
+//                dropped (default: keep everything)
+//   highlightsFrom
+//                live SVG element whose highlight classes (hover, search, path, ...)
+//                are copied over; omit to export the plain drawing
+// Returns { svg: string, width, height } with the size in pt.
+export function buildExportSvg(markup, model, {
+  mode = 'editor', theme, background = 'light', viewBox = null, keepIds = null, highlightsFrom = null
+} = {}) {
+  const svg = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+  const colors = background === 'transparent' ? theme : defaultTheme(background);
+
+  if (keepIds) {
+    svg.querySelectorAll('g.node, g.edge, g.cluster').forEach(g => {
+      if (!keepIds.has(g.id)) g.remove();
+    });
+  }
+
+  if (highlightsFrom) {
+    svg.querySelectorAll('g.node, g.edge, g.cluster').forEach(g => {
+      const live = highlightsFrom.getElementById(g.id);
+      if (live) g.setAttribute('class', live.getAttribute('class'));
+    });
+    svg.setAttribute('class', highlightsFrom.getAttribute('class') || '');
+    installOverlayStyles(svg, mode === 'editor' && colors.dark);
+  }
+
+  // Graphviz paints the background as a polygon behind the graph; replace it
+  // with a rectangle covering the exported region (or nothing, for transparency)
+  styleGraph(svg, model, mode, colors);
+  const polygon = svg.querySelector('g.graph > polygon');
+  if (polygon) polygon.style.fill = 'none';
+
+  const [x0, y0, w0, h0] = (svg.getAttribute('viewBox') || '0 0 0 0').split(/[\s,]+/).map(Number);
+  const region = viewBox || { x: x0, y: y0, w: w0, h: h0 };
+  svg.setAttribute('viewBox', `${region.x} ${region.y} ${region.w} ${region.h}`);
+  svg.setAttribute('width', `${region.w}pt`);
+  svg.setAttribute('height', `${region.h}pt`);
+
+  if (background !== 'transparent') {
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', region.x);
+    rect.setAttribute('y', region.y);
+    rect.setAttribute('width', region.w);
+    rect.setAttribute('height', region.h);
+    rect.setAttribute('fill', graphBackground(model, mode, colors));
+    svg.insertBefore(rect, svg.firstChild);
+  }
+
+  return { svg: new XMLSerializer().serializeToString(svg), width: region.w, height: region.h };
+}
+
+// Rasterize an exported SVG. `scale` 1 is 96 DPI (1pt = 4/3 px).
+export function svgToPng({ svg, width, height }, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(width * PT_TO_PX * scale));
+      canvas.height = Math.max(1, Math.round(height * PT_TO_PX * scale));
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not rasterize SVG'));
+    };
+    img.src = url;
+  });
+}
+
+export function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Copy text or a PNG blob to the clipboard; rejects if the webview doesn't allow it
+export async function copyToClipboard(content) {
+  if (!navigator.clipboard) throw new Error('Clipboard not available');
+  if (typeof content === 'string') {
+    await navigator.clipboard.writeText(content);
+  } else {
+    await navigator.clipboard.write([new ClipboardItem({ [content.type]: content })]);
+  }
+}
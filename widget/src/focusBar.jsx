@@ -0,0 +1,93 @@
+// Focus mode bar: the trail of focused nodes (click one to go back to it), the
+// radius and direction of the focus, and how much of the graph is shown
+
+import React from 'react';
+import { buttonStyle } from './theme';
+
+export function FocusBar({
+  theme, scope, focusTrail, setFocusTrail, focusOptions, changeFocusOptions, graphModel, sourceGraph
+}) {
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '6px',
+      marginBottom: '8px',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      fontSize: '11px',
+      color: theme.foreground
+    }}>
+      <span style={{ opacity: 0.7 }}>◎ Focus</span>
+      <nav aria-label="Focus history" style={{ display: 'flex', gap: '2px', alignItems: 'center', flexWrap: 'wrap' }}>
+        {focusTrail.map((entry, i) => (
+          <React.Fragment key={i}>
+            {i > 0 && <span style={{ opacity: 0.5 }}>›</span>}
+            <button
+              onClick={() => setFocusTrail(trail => trail.slice(0, i + 1))}
+              disabled={i === focusTrail.length - 1}
+              aria-current={i === focusTrail.length - 1 ? 'step' : undefined}
+              style={{
+                padding: '1px 4px',
+                fontSize: '11px',
+                border: 'none',
+                background: 'none',
+                color: i === focusTrail.length - 1 ? theme.foreground : theme.focusBorder,
+                textDecoration: i === focusTrail.length - 1 ? 'none' : 'underline',
+                fontWeight: i === focusTrail.length - 1 ? 'bold' : 'normal',
+                cursor: i === focusTrail.length - 1 ? 'default' : 'pointer'
+              }}
+              title={`${{ in: 'Ancestors', out: 'Descendants', both: 'Neighborhood' }[entry.direction]} of ${entry.node}` +
+                (Number.isFinite(entry.hops) ? `, ${entry.hops} hop${entry.hops === 1 ? '' : 's'}` : '')}
+            >
+              {sourceGraph.nodes.get(entry.node)?.label || entry.node}
+            </button>
+          </React.Fragment>
+        ))}
+      </nav>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+        radius
+        <input
+          type="range"
+          min={1}
+          max={5}
+          value={Number.isFinite(scope.hops) ? scope.hops : 5}
+          onChange={(e) => changeFocusOptions({ hops: Number(e.target.value) })}
+          style={{ width: '80px', opacity: Number.isFinite(scope.hops) ? 1 : 0.5 }}
+        />
+        <span style={{ minWidth: '12px' }}>{Number.isFinite(scope.hops) ? scope.hops : '∞'}</span>
+      </label>
+      <button
+        onClick={() => changeFocusOptions({ hops: Number.isFinite(scope.hops) ? Infinity : focusOptions.hops })}
+        style={buttonStyle(theme, !Number.isFinite(scope.hops))}
+        title="Unlimited radius: everything reachable in the chosen direction"
+        aria-pressed={!Number.isFinite(scope.hops)}
+      >
+        ∞
+      </button>
+      <div role="group" aria-label="Direction" style={{ display: 'flex', gap: '2px' }}>
+        {[['in', '← in'], ['out', 'out →'], ['both', '↔ both']].map(([direction, text]) => (
+          <button
+            key={direction}
+            onClick={() => changeFocusOptions({ direction })}
+            disabled={!graphModel.directed && direction !== 'both'}
+            style={buttonStyle(theme, scope.direction === direction)}
+            aria-pressed={scope.direction === direction}
+            title={{ in: 'Predecessors only', out: 'Successors only', both: 'Predecessors and successors' }[direction]}
+          >
+            {text}
+          </button>
+        ))}
+      </div>
+      <span style={{ opacity: 0.7 }}>
+        {graphModel.nodes.size} of {sourceGraph.nodes.size} nodes
+      </span>
+      <button
+        onClick={() => setFocusTrail([])}
+        style={buttonStyle(theme)}
+        title="Leave focus mode and show the whole graph"
+      >
+        ✕ Exit
+      </button>
+    </div>
+  );
+}
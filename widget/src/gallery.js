@@ -0,0 +1,35 @@
+// Thumbnails for the gallery view (the `graphs` prop). The graphs are laid out
+// one after another on a runner of their own, so the main view's layout isn't
+// dropped, and drawn in the widget's color mode as SVG images. Their layouts
+// land in the shared layout cache, so opening one from the grid is instant.
+
+import { createLayoutRunner } from './layout';
+import { buildExportSvg } from './exporting';
+
+// Lay out `graphs` ([{ name, dotSource }]) with `options` and call
+// onThumbnail(index, url) with an image URL for each, or null if its layout
+// failed. Returns a function that stops and releases the URLs made so far.
+export function renderThumbnails(graphs, options, { mode, theme, timeoutMs, onThumbnail }) {
+  const runner = createLayoutRunner();
+  const urls = [];
+  let stopped = false;
+  (async () => {
+    for (let i = 0; i < graphs.length && !stopped; i++) {
+      try {
+        const layout = await runner.run(graphs[i].dotSource, options, { timeoutMs });
+        if (stopped) return;
+        const { svg } = buildExportSvg(layout.svg, layout.model, { mode, theme, background: 'transparent' });
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+        urls.push(url);
+        onThumbnail(i, url);
+      } catch (_) {
+        if (!stopped) onThumbnail(i, null);
+      }
+    }
+  })();
+  return () => {
+    stopped = true;
+    runner.dispose();
+    urls.forEach(url => URL.revokeObjectURL(url));
+  };
+}
@@ -0,0 +1,106 @@
+// Gallery of several graphs: the bar to move between them, and the grid of
+// thumbnails (see gallery.js) that takes the place of the graph
+
+import React from 'react';
+import { buttonStyle } from './theme';
+
+// Previous/next, the tabs, and the grid toggle
+export function GalleryBar({
+  theme, graphs, currentIndex, setGraphIndex, stepGraph, onGalleryTabKeyDown, galleryGrid, setGalleryGrid
+}) {
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '4px',
+      marginBottom: '8px',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      fontSize: '11px',
+      color: theme.foreground
+    }}>
+      <button onClick={() => stepGraph(-1)} disabled={graphs.length < 2} style={buttonStyle(theme)} title="Previous graph">
+        ‹
+      </button>
+      {galleryGrid ? (
+        <span style={{ opacity: 0.7 }}>Click a graph to open it</span>
+      ) : (
+        <div role="tablist" aria-label="Graphs" onKeyDown={onGalleryTabKeyDown} style={{ display: 'flex', gap: '2px', flexWrap: 'wrap' }}>
+          {graphs.map((graph, i) => (
+            <button
+              key={i}
+              role="tab"
+              aria-selected={i === currentIndex}
+              tabIndex={i === currentIndex ? 0 : -1}
+              onClick={() => setGraphIndex(i)}
+              style={buttonStyle(theme, i === currentIndex)}
+            >
+              {graph.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <button onClick={() => stepGraph(1)} disabled={graphs.length < 2} style={buttonStyle(theme)} title="Next graph">
+        ›
+      </button>
+      <span style={{ opacity: 0.7 }}>{currentIndex + 1} of {graphs.length}</span>
+      <span style={{ flex: 1 }} />
+      <button
+        onClick={() => setGalleryGrid(!galleryGrid)}
+        style={buttonStyle(theme, galleryGrid)}
+        title={galleryGrid ? 'Back to the selected graph' : 'Show all graphs as thumbnails'}
+        aria-pressed={galleryGrid}
+      >
+        ⊞ Grid
+      </button>
+    </div>
+  );
+}
+
+// One thumbnail per graph; `openGraph(i)` leaves the grid for graph i
+export function GalleryGrid({ theme, graphs, currentIndex, thumbnails, colorMode, openGraph }) {
+  return (
+    <div role="list" aria-label="Graphs" style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))',
+      gap: '8px',
+      marginBottom: '8px'
+    }}>
+      {graphs.map((graph, i) => (
+        <button
+          key={i}
+          role="listitem"
+          onClick={() => openGraph(i)}
+          title={`Open ${graph.name}`}
+          style={{
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'stretch',
+            gap: '4px',
+            padding: '6px',
+            border: `1px solid ${i === currentIndex ? theme.focusBorder : theme.border}`,
+            borderRadius: '4px',
+            backgroundColor: theme.widgetBackground,
+            color: theme.foreground,
+            cursor: 'pointer',
+            font: 'inherit',
+            fontSize: '11px'
+          }}
+        >
+          <div style={{
+            height: '120px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            backgroundColor: colorMode === 'editor' ? theme.background : 'white',
+            borderRadius: '2px'
+          }}>
+            {thumbnails[i]
+              ? <img src={thumbnails[i]} alt="" style={{ maxWidth: '100%', maxHeight: '100%' }} />
+              : <span style={{ opacity: 0.6, color: theme.foreground }}>{thumbnails[i] === null ? 'Layout failed' : 'Laying out…'}</span>}
+          </div>
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{graph.name}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
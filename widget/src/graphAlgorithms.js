@@ -0,0 +1,348 @@
+// Graph algorithms over the widget's graph model, mirroring the ones in
+// Dot4/Validation.lean so the widget can answer the same questions client-side.
+// Undirected graphs are traversed both ways.
+
+import { neighborsOf } from './graphModel';
+
+// Nodes reachable in one step from `name`
+export function nextNodes(model, name) {
+  const { predecessors, successors } = neighborsOf(model, name);
+  return model.directed ? [...successors] : [...new Set([...successors, ...predecessors])];
+}
+
+// Shortest path (fewest edges) from start to end as a list of node names, or null
+export function shortestPath(model, start, end) {
+  if (!model.nodes.has(start) || !model.nodes.has(end)) return null;
+  if (start === end) return [start];
+  const parent = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const curr = queue.shift();
+    for (const next of nextNodes(model, curr)) {
+      if (parent.has(next)) continue;
+      parent.set(next, curr);
+      if (next === end) {
+        const path = [end];
+        for (let p = curr; p !== null; p = parent.get(p)) path.unshift(p);
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+  return null;
+}
+
+// Fewest-edges path from start to end avoiding `blockedNodes` and the steps in
+// `blockedSteps` ("tail\0head"), with at most `maxLength` edges. `visits` counts
+// the nodes searched ({ left }); the search gives up (null) when it runs out.
+function boundedShortestPath(model, start, end, maxLength, blockedNodes, blockedSteps, visits) {
+  const parent = new Map([[start, null]]);
+  let level = [start];
+  for (let depth = 0; depth < maxLength && level.length > 0; depth++) {
+    const next = [];
+    for (const curr of level) {
+      if (--visits.left < 0) return null;
+      for (const node of nextNodes(model, curr)) {
+        if (parent.has(node) || blockedNodes.has(node) || blockedSteps.has(`${curr}\u0000${node}`)) continue;
+        parent.set(node, curr);
+        if (node === end) {
+          const path = [end];
+          for (let p = curr; p !== null; p = parent.get(p)) path.unshift(p);
+          return path;
+        }
+        next.push(node);
+      }
+    }
+    level = next;
+  }
+  return null;
+}
+
+// Up to `limit` simple paths (no repeated nodes) from start to end with at most
+// `maxLength` edges, shortest first: Yen's k-shortest-paths over breadth-first
+// searches. Dense graphs have exponentially many paths, so `budget` caps the
+// nodes all searches visit together. Returns { paths, complete }, where
+// `complete` is false if the budget ran out before `limit` paths were found.
+export function shortestPaths(model, start, end, { maxLength = 10, limit = 50, budget = 200000 } = {}) {
+  if (!model.nodes.has(start) || !model.nodes.has(end)) return { paths: [], complete: true };
+  if (start === end) return { paths: [[start]], complete: true };
+  const visits = { left: budget };
+  const first = boundedShortestPath(model, start, end, maxLength, new Set(), new Set(), visits);
+  if (!first) return { paths: [], complete: visits.left >= 0 };
+
+  const key = (path) => path.join('\u0000');
+  const found = [first];
+  const seen = new Set([key(first)]);
+  const candidates = [];
+  while (found.length < limit) {
+    const previous = found[found.length - 1];
+    // Branch off the last path at each of its nodes
+    for (let i = 0; i + 1 < previous.length && visits.left >= 0; i++) {
+      const root = previous.slice(0, i + 1);
+      const blockedSteps = new Set();
+      for (const path of found) {
+        if (path.length > i + 1 && root.every((name, j) => path[j] === name)) {
+          blockedSteps.add(`${path[i]}\u0000${path[i + 1]}`);
+        }
+      }
+      const spur = boundedShortestPath(model, previous[i], end, maxLength - i, new Set(root.slice(0, i)), blockedSteps, visits);
+      if (!spur) continue;
+      const path = [...root.slice(0, i), ...spur];
+      if (seen.has(key(path))) continue;
+      seen.add(key(path));
+      candidates.push(path);
+    }
+    if (visits.left < 0) return { paths: found, complete: false };
+    if (candidates.length === 0) break;
+    // The shortest candidate is the next path (ties keep the order found)
+    let best = 0;
+    candidates.forEach((path, i) => { if (path.length < candidates[best].length) best = i; });
+    found.push(candidates.splice(best, 1)[0]);
+  }
+  return { paths: found, complete: true };
+}
+
+// Edges that connect consecutive nodes of a path (all of them, for multi-edges)
+export function edgesAlong(model, path) {
+  const steps = new Set();
+  for (let i = 0; i + 1 < path.length; i++) {
+    steps.add(`${path[i]}\u0000${path[i + 1]}`);
+    if (!model.directed) steps.add(`${path[i + 1]}\u0000${path[i]}`);
+  }
+  return model.edges.filter(e => steps.has(`${e.tail}\u0000${e.head}`));
+}
+
+// In- and out-degree of every node, counting parallel edges
+export function degrees(model) {
+  const result = new Map();
+  for (const name of model.nodes.keys()) result.set(name, { in: 0, out: 0 });
+  for (const edge of model.edges) {
+    if (result.has(edge.tail)) result.get(edge.tail).out++;
+    if (result.has(edge.head)) result.get(edge.head).in++;
+  }
+  return result;
+}
+
+// Nodes adjacent to `name` in either direction
+function adjacentNodes(model, name) {
+  const { predecessors, successors } = neighborsOf(model, name);
+  return new Set([...successors, ...predecessors]);
+}
+
+// PageRank of every node (summing to 1). Nodes without outgoing edges spread
+// their rank evenly over all nodes.
+export function pageRank(model, damping = 0.85, iterations = 100, tolerance = 1e-9) {
+  const names = [...model.nodes.keys()];
+  const n = names.length;
+  let rank = new Map(names.map(name => [name, 1 / n]));
+  const out = new Map(names.map(name => [name, nextNodes(model, name)]));
+  for (let i = 0; i < iterations; i++) {
+    let dangling = 0;
+    for (const name of names) if (out.get(name).length === 0) dangling += rank.get(name);
+    const next = new Map(names.map(name => [name, (1 - damping) / n + damping * dangling / n]));
+    for (const name of names) {
+      const targets = out.get(name);
+      for (const t of targets) next.set(t, next.get(t) + damping * rank.get(name) / targets.length);
+    }
+    let change = 0;
+    for (const name of names) change += Math.abs(next.get(name) - rank.get(name));
+    rank = next;
+    if (change < tolerance) break;
+  }
+  return rank;
+}
+
+// Betweenness centrality of every node (Brandes' algorithm, unweighted): the
+// number of shortest paths between other nodes that pass through it, each pair
+// counted once in undirected graphs
+export function betweenness(model) {
+  const names = [...model.nodes.keys()];
+  const result = new Map(names.map(name => [name, 0]));
+  for (const source of names) {
+    const stack = [];
+    const preds = new Map(names.map(name => [name, []]));
+    const sigma = new Map(names.map(name => [name, 0]));
+    const dist = new Map([[source, 0]]);
+    sigma.set(source, 1);
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      for (const w of nextNodes(model, v)) {
+        if (!dist.has(w)) {
+          dist.set(w, dist.get(v) + 1);
+          queue.push(w);
+        }
+        if (dist.get(w) === dist.get(v) + 1) {
+          sigma.set(w, sigma.get(w) + sigma.get(v));
+          preds.get(w).push(v);
+        }
+      }
+    }
+    const delta = new Map(names.map(name => [name, 0]));
+    while (stack.length > 0) {
+      const w = stack.pop();
+      for (const v of preds.get(w)) {
+        delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+      }
+      if (w !== source) result.set(w, result.get(w) + delta.get(w));
+    }
+  }
+  if (!model.directed) for (const name of names) result.set(name, result.get(name) / 2);
+  return result;
+}
+
+// Local clustering coefficient of every node, as clusteringCoefficient in
+// Validation.lean: the share of pairs of its neighbors (either direction) that
+// are connected themselves
+export function clusteringCoefficients(model) {
+  const result = new Map();
+  for (const name of model.nodes.keys()) {
+    const around = [...adjacentNodes(model, name)].filter(n => n !== name);
+    const k = around.length;
+    if (k < 2) {
+      result.set(name, 0);
+      continue;
+    }
+    let links = 0;
+    for (const a of around) {
+      const linked = adjacentNodes(model, a);
+      for (const b of around) if (a !== b && linked.has(b)) links++;
+    }
+    result.set(name, links / (k * (k - 1)));
+  }
+  return result;
+}
+
+// Strongly connected components (Tarjan's algorithm, iteratively), as lists of
+// node names in discovery order. Like stronglyConnectedComponents in
+// Validation.lean, single nodes without a self-loop are components too.
+export function stronglyConnectedComponents(model) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  for (const root of model.nodes.keys()) {
+    if (index.has(root)) continue;
+    const work = [{ name: root, next: nextNodes(model, root), i: 0 }];
+    index.set(root, index.size);
+    low.set(root, index.get(root));
+    stack.push(root);
+    onStack.add(root);
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      if (frame.i < frame.next.length) {
+        const w = frame.next[frame.i++];
+        if (!index.has(w)) {
+          index.set(w, index.size);
+          low.set(w, index.get(w));
+          stack.push(w);
+          onStack.add(w);
+          work.push({ name: w, next: nextNodes(model, w), i: 0 });
+        } else if (onStack.has(w)) {
+          low.set(frame.name, Math.min(low.get(frame.name), index.get(w)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].name;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.name)));
+      }
+      if (low.get(frame.name) === index.get(frame.name)) {
+        const component = [];
+        let w;
+        do {
+          w = stack.pop();
+          onStack.delete(w);
+          component.unshift(w);
+        } while (w !== frame.name);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+// Components that contain a cycle: more than one node, or a node with a self-loop
+export function cyclicComponents(model) {
+  return stronglyConnectedComponents(model)
+    .filter(c => c.length > 1 || model.successors.get(c[0])?.has(c[0]));
+}
+
+// Edges that close a cycle: the back edges of a depth-first search (self-loops
+// included). Removing them leaves the graph acyclic.
+export function cycleClosingEdges(model) {
+  const state = new Map(); // name -> 'open' while on the DFS path, then 'done'
+  const closing = [];
+  const outgoing = new Map([...model.nodes.keys()].map(name => [name, []]));
+  model.edges.forEach(e => outgoing.get(e.tail)?.push(e));
+  for (const root of model.nodes.keys()) {
+    if (state.has(root)) continue;
+    state.set(root, 'open');
+    const work = [{ name: root, i: 0 }];
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const edges = outgoing.get(frame.name);
+      if (frame.i < edges.length) {
+        const edge = edges[frame.i++];
+        if (state.get(edge.head) === 'open') {
+          closing.push(edge);
+        } else if (!state.has(edge.head)) {
+          state.set(edge.head, 'open');
+          work.push({ name: edge.head, i: 0 });
+        }
+      } else {
+        state.set(frame.name, 'done');
+        work.pop();
+      }
+    }
+  }
+  return closing;
+}
+
+// Elementary cycles as node lists (first node not repeated), shortest first:
+// { cycles, complete }. Each cycle is found once, from its first node in model
+// order. There can be exponentially many, so the search stops after `limit`
+// cycles or `budget` steps; `complete` is false if it stopped early.
+export function findCycles(model, { limit = 100, budget = 200000, components = cyclicComponents(model) } = {}) {
+  const order = new Map([...model.nodes.keys()].map((name, i) => [name, i]));
+  const cycles = [];
+  let left = budget;
+  let cut = false; // stopped at the limit or budget with edges left to follow
+  for (const component of components) {
+    const members = new Set(component);
+    for (const start of [...component].sort((a, b) => order.get(a) - order.get(b))) {
+      const path = [start];
+      const onPath = new Set(path);
+      const work = [{ next: nextNodes(model, start), i: 0 }];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        if (frame.i >= frame.next.length) {
+          work.pop();
+          onPath.delete(path.pop());
+          continue;
+        }
+        const next = frame.next[frame.i];
+        const deeper = next !== start && members.has(next) && !onPath.has(next) && order.get(next) > order.get(start);
+        if ((next === start || deeper) && (cycles.length >= limit || left <= 0)) {
+          cut = true;
+          break;
+        }
+        frame.i++;
+        left--;
+        if (next === start) {
+          cycles.push([...path]);
+        } else if (deeper) {
+          path.push(next);
+          onPath.add(next);
+          work.push({ next: nextNodes(model, next), i: 0 });
+        }
+      }
+      if (cut) break;
+    }
+    if (cut) break;
+  }
+  return { cycles: cycles.sort((a, b) => a.length - b.length), complete: !cut };
+}
@@ -0,0 +1,227 @@
+// Graph model built from Graphviz's JSON output (the `json0` format) for the
+// same layout as the rendered SVG, so everything the widget derives from the
+// graph agrees with what Graphviz actually drew.
+
+const POINTS_PER_INCH = 72;
+
+// Keys in Graphviz JSON objects that are structure, not DOT attributes
+const STRUCTURAL_KEYS = new Set([
+  '_gvid', 'name', 'nodes', 'edges', 'subgraphs', 'tail', 'head', 'objects', 'directed', 'strict'
+]);
+
+function attributesOf(obj) {
+  const attributes = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (!STRUCTURAL_KEYS.has(k) && !k.startsWith('_')) attributes[k] = v;
+  }
+  return attributes;
+}
+
+// "x,y" (optionally followed by "!") -> { x, y }
+function parsePoint(str) {
+  if (!str) return null;
+  const [x, y] = str.replace('!', '').split(',').map(Number);
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+}
+
+// "llx,lly,urx,ury" -> { x, y, w, h }
+function parseBox(str) {
+  if (!str) return null;
+  const [llx, lly, urx, ury] = str.split(',').map(Number);
+  if ([llx, lly, urx, ury].some(n => !Number.isFinite(n))) return null;
+  return { x: llx, y: lly, w: urx - llx, h: ury - lly };
+}
+
+// Edge "pos": optional "s,x,y" / "e,x,y" endpoints followed by B-spline control points
+function parseSpline(str) {
+  if (!str) return null;
+  const spline = { start: null, end: null, points: [] };
+  for (const part of str.split(/\s+/)) {
+    if (!part) continue;
+    if (part.startsWith('s,')) spline.start = parsePoint(part.slice(2));
+    else if (part.startsWith('e,')) spline.end = parsePoint(part.slice(2));
+    else {
+      const p = parsePoint(part);
+      if (p) spline.points.push(p);
+    }
+  }
+  return spline;
+}
+
+// Expand the \N, \G, \E, \T, \H escapes Graphviz allows in labels, and turn the
+// \n, \l, \r line breaks into newlines
+function expandLabel(label, fallback, vars) {
+  if (label === undefined || label === null) return fallback;
+  return String(label).replace(/\\([NGETHnlr])/g, (m, c) => ('nlr'.includes(c) ? '\n' : vars[c] ?? m));
+}
+
+// Identifier used for edges in props such as addedEdges and sourceLocations
+export function edgeId(tail, head) {
+  return `${tail}->${head}`;
+}
+
+export const EMPTY_MODEL = buildGraphModel(null);
+
+// Build the widget's graph model from parsed Graphviz JSON output.
+// Nodes and clusters are keyed by name; edges keep Graphviz's order, with a `key`
+// that stays unique across multi-edges. Every element records the id of the SVG
+// group Graphviz emitted for it (node3, edge1, clust2, ...), so overlays can find
+// it without matching on <title> text. `htmlLabels` holds the label values that
+// were HTML strings in the source (see dotSyntax.js), which the JSON doesn't tell.
+export function buildGraphModel(json, { htmlLabels = new Set() } = {}) {
+  const model = {
+    name: '',
+    directed: true,
+    strict: false,
+    bb: null,
+    attributes: {},
+    nodes: new Map(),
+    nodeOrder: [],
+    edges: [],
+    clusters: new Map(),
+    successors: new Map(),
+    predecessors: new Map(),
+    bySvgId: new Map(),
+    htmlLabels
+  };
+  if (!json) return model;
+
+  model.name = json.name || '';
+  model.directed = json.directed !== false;
+  model.strict = !!json.strict;
+  model.bb = parseBox(json.bb);
+  model.attributes = attributesOf(json);
+
+  const objects = json.objects || [];
+  const subgraphCount = json._subgraph_cnt || 0;
+  const nameByGvid = new Map();
+
+  // Nodes come after all subgraphs; Graphviz numbers their SVG groups from 1
+  objects.slice(subgraphCount).forEach((obj, i) => {
+    const attributes = attributesOf(obj);
+    const pos = parsePoint(obj.pos);
+    const node = {
+      name: obj.name,
+      svgId: attributes.id || `node${i + 1}`,
+      label: expandLabel(attributes.label, obj.name, { N: obj.name, G: model.name }),
+      attributes,
+      pos,
+      width: parseFloat(obj.width || 0) * POINTS_PER_INCH,
+      height: parseFloat(obj.height || 0) * POINTS_PER_INCH,
+      cluster: null
+    };
+    nameByGvid.set(obj._gvid, obj.name);
+    model.nodes.set(node.name, node);
+    model.nodeOrder.push(node.name);
+    model.successors.set(node.name, new Set());
+    model.predecessors.set(node.name, new Set());
+    model.bySvgId.set(node.svgId, { kind: 'node', item: node });
+  });
+
+  // Clusters: only subgraphs named cluster* (or marked cluster=true) are drawn
+  const parentByGvid = new Map();
+  for (const obj of objects.slice(0, subgraphCount)) {
+    for (const child of obj.subgraphs || []) parentByGvid.set(child, obj._gvid);
+  }
+  // Their SVG groups are numbered by subgraph, counting plain subgraphs too
+  const clusterByGvid = new Map();
+  for (const obj of objects.slice(0, subgraphCount)) {
+    const isCluster = (obj.name || '').startsWith('cluster') || obj.cluster === 'true';
+    if (!isCluster) continue;
+    const attributes = attributesOf(obj);
+    const cluster = {
+      name: obj.name,
+      svgId: attributes.id || `clust${obj._gvid + 1}`,
+      label: expandLabel(attributes.label, '', { G: obj.name }),
+      attributes,
+      bb: parseBox(obj.bb),
+      nodes: (obj.nodes || []).map(g => nameByGvid.get(g)).filter(n => n !== undefined),
+      parent: null
+    };
+    clusterByGvid.set(obj._gvid, cluster);
+    model.clusters.set(cluster.name, cluster);
+    model.bySvgId.set(cluster.svgId, { kind: 'cluster', item: cluster });
+  }
+  // Nearest enclosing cluster, skipping plain subgraphs in between
+  for (const [gvid, cluster] of clusterByGvid) {
+    let parent = parentByGvid.get(gvid);
+    while (parent !== undefined && !clusterByGvid.has(parent)) parent = parentByGvid.get(parent);
+    cluster.parent = parent !== undefined ? clusterByGvid.get(parent).name : null;
+  }
+  // Subgraphs are listed parent-first, so the innermost cluster is assigned last
+  for (const cluster of model.clusters.values()) {
+    for (const name of cluster.nodes) model.nodes.get(name).cluster = cluster.name;
+  }
+
+  // Edges: multi-edges share tail/head, so number repeats to keep keys unique.
+  // SVG groups follow the array order, which is not always the _gvid order.
+  const seen = new Map();
+  (json.edges || []).forEach((obj, i) => {
+    const tail = nameByGvid.get(obj.tail);
+    const head = nameByGvid.get(obj.head);
+    if (tail === undefined || head === undefined) return;
+    const attributes = attributesOf(obj);
+    const id = edgeId(tail, head);
+    const n = seen.get(id) || 0;
+    seen.set(id, n + 1);
+    const edge = {
+      key: attributes.key !== undefined ? `${id}#${attributes.key}` : (n === 0 ? id : `${id}#${n}`),
+      id,
+      svgId: attributes.id || `edge${i + 1}`,
+      tail,
+      head,
+      tailPort: attributes.tailport || null,
+      headPort: attributes.headport || null,
+      label: expandLabel(attributes.label, '', {
+        G: model.name, T: tail, H: head, E: `${tail}${model.directed ? '->' : '--'}${head}`
+      }),
+      attributes,
+      spline: parseSpline(attributes.pos)
+    };
+    model.edges.push(edge);
+    model.successors.get(tail).add(head);
+    model.predecessors.get(head).add(tail);
+    model.bySvgId.set(edge.svgId, { kind: 'edge', item: edge });
+  });
+
+  return model;
+}
+
+// Predecessors and successors of a node (empty sets for unknown nodes)
+export function neighborsOf(model, name) {
+  return {
+    predecessors: model.predecessors.get(name) || new Set(),
+    successors: model.successors.get(name) || new Set()
+  };
+}
+
+// Look up the model element drawn by an SVG group (g.node, g.edge, g.cluster)
+export function elementFor(model, group) {
+  return model.bySvgId.get(group.id) || null;
+}
+
+// Nodes within `hops` steps of any of `seeds`, following edges forwards ('out'),
+// backwards ('in') or both ways ('both'). The seeds themselves are included.
+export function nodesWithin(model, seeds, hops, direction = 'both') {
+  const result = new Set(seeds);
+  let frontier = [...result];
+  for (let step = 0; step < hops && frontier.length > 0; step++) {
+    const next = [];
+    for (const name of frontier) {
+      const { predecessors, successors } = neighborsOf(model, name);
+      const around = direction === 'in' ? [predecessors]
+        : direction === 'out' ? [successors]
+        : [predecessors, successors];
+      for (const set of around) {
+        for (const n of set) {
+          if (!result.has(n)) {
+            result.add(n);
+            next.push(n);
+          }
+        }
+      }
+    }
+    frontier = next;
+  }
+  return result;
+}
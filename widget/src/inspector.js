@@ -0,0 +1,158 @@
+// What the inspector panel shows for a selected node, edge or cluster.
+//
+// Graphviz's JSON output already lists every attribute that applies to an
+// element, including the ones it inherited from node/edge defaults, so those are
+// shown as resolved. Attributes left at Graphviz's built-in defaults aren't in
+// the output; the common ones are filled in from DEFAULTS and marked as such.
+
+import { formatAttributes } from './dotWriter';
+
+const POINTS_PER_INCH = 72;
+
+// Graphviz's built-in defaults for commonly used attributes
+const COMMON_DEFAULTS = { color: 'black', fontcolor: 'black', fontname: 'Times-Roman', fontsize: '14', penwidth: '1' };
+const DEFAULTS = {
+  node: { ...COMMON_DEFAULTS, shape: 'ellipse', label: '\\N', fillcolor: 'lightgrey', style: '' },
+  edge: { ...COMMON_DEFAULTS, arrowhead: 'normal', arrowtail: 'normal', arrowsize: '1', style: '' },
+  cluster: { ...COMMON_DEFAULTS, pencolor: 'black', labeljust: 'c', labelloc: 't', style: '' }
+};
+
+// Attributes that are layout output; they're shown under Layout instead
+const LAYOUT_ATTRIBUTES = new Set([
+  'pos', 'bb', 'lp', 'xlp', 'head_lp', 'tail_lp', 'lwidth', 'lheight', 'width', 'height', 'rects'
+]);
+
+const round = (n) => String(Math.round(n * 100) / 100);
+const point = (p) => `${round(p.x)}, ${round(p.y)}`;
+const size = (w, h) => `${round(w)} × ${round(h)} pt (${round(w / POINTS_PER_INCH)} × ${round(h / POINTS_PER_INCH)} in)`;
+
+// Ports a node's label declares: <port> fields of records, PORT="..." in HTML labels
+function declaredPorts(node) {
+  const label = String(node.attributes.label || '');
+  const ports = new Set();
+  const shape = node.attributes.shape || '';
+  if (shape === 'record' || shape === 'Mrecord') {
+    for (const m of label.matchAll(/<([^<>]+)>/g)) ports.add(m[1].trim());
+  }
+  for (const m of label.matchAll(/\bport\s*=\s*"([^"]*)"/gi)) ports.add(m[1]);
+  return ports;
+}
+
+// Ports (and compass points) edges attach to, with the number of edges on each
+function portsOf(model, node) {
+  const ports = new Map([...declaredPorts(node)].map(p => [p, 0]));
+  const count = (port) => {
+    if (port) ports.set(port, (ports.get(port) || 0) + 1);
+  };
+  for (const edge of model.edges) {
+    if (edge.tail === node.name) count(edge.tailPort);
+    if (edge.head === node.name) count(edge.headPort);
+  }
+  return ports;
+}
+
+// Enclosing clusters, outermost first
+function clusterPath(model, name) {
+  const path = [];
+  for (let c = name; c; c = model.clusters.get(c)?.parent) path.unshift(c);
+  return path;
+}
+
+// "path/to/File.lean:12:5" for a source location from the sourceLocations prop
+export function formatLocation(loc) {
+  const path = decodeURIComponent(loc.uri.replace(/^file:\/\//, ''));
+  return `${path}:${loc.range.start.line + 1}:${loc.range.start.character + 1}`;
+}
+
+// Look up the model element of a selection ({ type, id, key })
+export function selectedElement(model, selection) {
+  if (!selection) return null;
+  if (selection.type === 'node') return model.nodes.get(selection.id) || null;
+  if (selection.type === 'cluster') return model.clusters.get(selection.id) || null;
+  return model.edges.find(e => e.key === selection.key) || null;
+}
+
+function attributeRows(kind, element, model) {
+  const rows = [];
+  const set = element.attributes;
+  for (const key of Object.keys(set).sort()) {
+    if (!LAYOUT_ATTRIBUTES.has(key)) rows.push({ key, value: String(set[key]) });
+  }
+  const defaults = { ...DEFAULTS[kind] };
+  if (kind === 'edge') defaults.dir = model.directed ? 'forward' : 'none';
+  for (const key of Object.keys(defaults).sort()) {
+    if (!(key in set) && defaults[key] !== '') rows.push({ key, value: defaults[key], isDefault: true });
+  }
+  return rows;
+}
+
+// Sections of the inspector for a selection: [{ title, rows: [{ key, value, isDefault? }] }],
+// plus the element's attributes as a DOT attribute list for copying.
+// `location` is the element's source location, if it has one.
+export function inspectElement(model, selection, location) {
+  const element = selectedElement(model, selection);
+  if (!element) return null;
+  const kind = selection.type;
+  const general = [];
+  const layout = [];
+
+  if (kind === 'node') {
+    general.push({ key: 'id', value: element.name });
+    if (element.label !== element.name) general.push({ key: 'label', value: element.label });
+    if (element.cluster) general.push({ key: 'cluster', value: clusterPath(model, element.cluster).join(' › ') });
+    const incoming = model.edges.filter(e => e.head === element.name).length;
+    const outgoing = model.edges.filter(e => e.tail === element.name).length;
+    if (model.directed) {
+      general.push({ key: 'in-degree', value: String(incoming) });
+      general.push({ key: 'out-degree', value: String(outgoing) });
+    } else {
+      general.push({ key: 'degree', value: String(incoming + outgoing) });
+    }
+    const ports = portsOf(model, element);
+    if (ports.size > 0) {
+      general.push({
+        key: 'ports',
+        value: [...ports].map(([p, n]) => (n > 0 ? `${p} (${n} edge${n === 1 ? '' : 's'})` : p)).join(', ')
+      });
+    }
+    if (element.pos) layout.push({ key: 'position', value: `${point(element.pos)} pt` });
+    if (element.width || element.height) layout.push({ key: 'size', value: size(element.width, element.height) });
+  } else if (kind === 'edge') {
+    const op = model.directed ? '->' : '--';
+    general.push({ key: 'edge', value: `${element.tail} ${op} ${element.head}` });
+    if (element.label) general.push({ key: 'label', value: element.label });
+    if (element.tailPort) general.push({ key: 'tailport', value: element.tailPort });
+    if (element.headPort) general.push({ key: 'headport', value: element.headPort });
+    const tailCluster = model.nodes.get(element.tail)?.cluster;
+    const headCluster = model.nodes.get(element.head)?.cluster;
+    if (tailCluster && tailCluster === headCluster) {
+      general.push({ key: 'cluster', value: clusterPath(model, tailCluster).join(' › ') });
+    }
+    const spline = element.spline;
+    if (spline?.points.length) {
+      layout.push({ key: 'from', value: `${point(spline.start || spline.points[0])} pt` });
+      layout.push({ key: 'to', value: `${point(spline.end || spline.points[spline.points.length - 1])} pt` });
+    }
+    const lp = element.attributes.lp;
+    if (lp) layout.push({ key: 'label position', value: `${lp.replace(',', ', ')} pt` });
+  } else {
+    general.push({ key: 'cluster', value: element.name });
+    if (element.label) general.push({ key: 'label', value: element.label });
+    if (element.parent) general.push({ key: 'parent', value: clusterPath(model, element.parent).join(' › ') });
+    const inner = [...model.clusters.values()].filter(c => c.parent === element.name).map(c => c.name);
+    if (inner.length > 0) general.push({ key: 'clusters', value: inner.join(', ') });
+    general.push({ key: 'nodes', value: `${element.nodes.length} (${element.nodes.join(', ')})` });
+    if (element.bb) {
+      const { x, y, w, h } = element.bb;
+      layout.push({ key: 'bounding box', value: `${point({ x, y })} – ${point({ x: x + w, y: y + h })} pt` });
+      layout.push({ key: 'size', value: size(w, h) });
+    }
+  }
+  if (location) general.push({ key: 'source', value: formatLocation(location) });
+
+  const sections = [{ title: 'General', rows: general }];
+  if (layout.length > 0) sections.push({ title: 'Layout', rows: layout });
+  sections.push({ title: 'Attributes', rows: attributeRows(kind, element, model) });
+  const style = Object.fromEntries(Object.entries(element.attributes).filter(([key]) => !LAYOUT_ATTRIBUTES.has(key)));
+  return { kind, element, sections, dot: formatAttributes(style, { htmlLabels: model.htmlLabels }).trim() };
+}
@@ -0,0 +1,154 @@
+// Inspector panel for the selected node, edge or cluster: its attributes by
+// section (see inspector.js), with the actions that apply to it
+
+import React from 'react';
+import { buttonStyle } from './theme';
+
+// `renaming` is the label being typed for the selected node, or null;
+// `selectedLocation` its statement in the Lean source, if it can be edited
+export function InspectorPanel({
+  theme, inspection, selectedNode, selectedLocation, pathStart, pathEnd, setPathStart, setPathEnd,
+  renaming, setRenaming, renameSelected, deleteSelected, copyValue, copiedValue, sourceLocationMap, goToSource
+}) {
+  return (
+    <div style={{
+      marginTop: '8px',
+      padding: '8px',
+      backgroundColor: theme.widgetBackground,
+      borderRadius: '4px',
+      fontSize: '12px',
+      fontFamily: 'monospace',
+      color: theme.foreground
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '6px' }}>
+        <strong style={{ textTransform: 'capitalize' }}>{inspection.kind}</strong>
+        <span>{inspection.kind === 'edge' ? `${inspection.element.tail} → ${inspection.element.head}` : selectedNode.id}</span>
+        <span style={{ flex: 1 }} />
+        {inspection.kind === 'node' && (
+          <>
+            <button
+              onClick={() => { setPathStart(selectedNode.id); if (pathEnd === selectedNode.id) setPathEnd(null); }}
+              style={buttonStyle(theme, pathStart === selectedNode.id)}
+              title="Find paths starting at this node (or shift-click it)"
+            >
+              Path from here
+            </button>
+            <button
+              onClick={() => { setPathEnd(selectedNode.id); if (pathStart === selectedNode.id) setPathStart(null); }}
+              style={buttonStyle(theme, pathEnd === selectedNode.id)}
+              title="Find paths ending at this node (or shift-click it after a start)"
+            >
+              Path to here
+            </button>
+          </>
+        )}
+        {selectedLocation && inspection.kind === 'node' && (
+          <button
+            onClick={() => setRenaming(renaming === null ? inspection.element.label : null)}
+            style={buttonStyle(theme, renaming !== null)}
+            title="Change the node's label in the Lean source"
+          >
+            ✎ Rename
+          </button>
+        )}
+        {selectedLocation && inspection.kind !== 'cluster' && (
+          <button
+            onClick={deleteSelected}
+            style={buttonStyle(theme)}
+            title={inspection.kind === 'node'
+              ? 'Delete the node and its edges from the Lean source'
+              : 'Delete the edge from the Lean source'}
+          >
+            🗑 Delete
+          </button>
+        )}
+        {inspection.dot && (
+          <button
+            onClick={() => copyValue('dot', inspection.dot)}
+            style={buttonStyle(theme)}
+            title="Copy the attributes as a DOT attribute list"
+          >
+            {copiedValue === 'dot' ? '✓ Copied' : '📋 Copy as DOT'}
+          </button>
+        )}
+        {sourceLocationMap.has(selectedNode.id) && (
+          <button
+            onClick={() => goToSource(selectedNode.id)}
+            style={{
+              padding: '4px 8px',
+              fontSize: '11px',
+              border: `1px solid ${theme.focusBorder}`,
+              borderRadius: '3px',
+              backgroundColor: theme.activeBackground,
+              color: theme.foreground,
+              cursor: 'pointer',
+              whiteSpace: 'nowrap'
+            }}
+            title={`Go to source definition (or double-click ${inspection.kind})`}
+          >
+            📍 Go to source
+          </button>
+        )}
+      </div>
+      {renaming !== null && (
+        <form
+          onSubmit={(e) => { e.preventDefault(); renameSelected(renaming); }}
+          style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '6px' }}
+        >
+          <label htmlFor="dot4-rename">label</label>
+          <input
+            id="dot4-rename"
+            autoFocus
+            value={renaming}
+            onChange={(e) => setRenaming(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Escape') setRenaming(null); }}
+            style={{
+              flex: 1,
+              fontSize: '12px',
+              fontFamily: 'monospace',
+              backgroundColor: theme.inputBackground,
+              color: theme.foreground,
+              border: `1px solid ${theme.focusBorder}`,
+              borderRadius: '3px'
+            }}
+          />
+          <button type="submit" style={buttonStyle(theme, true)}>Apply</button>
+        </form>
+      )}
+      <div style={{ maxHeight: '240px', overflowY: 'auto' }}>
+        {inspection.sections.map(section => (
+          <table key={section.title} style={{ borderCollapse: 'collapse', width: '100%', marginTop: '4px' }}>
+            <thead>
+              <tr>
+                <th colSpan={2} style={{ textAlign: 'left', opacity: 0.7, fontWeight: 'normal', padding: '4px 0 2px' }}>
+                  {section.title}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {section.rows.map(row => {
+                const copyKey = `${section.title}:${row.key}`;
+                return (
+                  <tr key={row.key} style={{ opacity: row.isDefault ? 0.6 : 1 }}>
+                    <td style={{ padding: '1px 12px 1px 0', verticalAlign: 'top', whiteSpace: 'nowrap', width: '1%' }}>
+                      {row.key}
+                    </td>
+                    <td
+                      onClick={() => copyValue(copyKey, row.value)}
+                      style={{ padding: '1px 0', wordBreak: 'break-all', cursor: 'copy' }}
+                      title={row.isDefault ? 'Graphviz default (click to copy)' : 'Click to copy'}
+                    >
+                      {row.value === '' ? <span style={{ opacity: 0.6 }}>""</span> : row.value}
+                      {row.isDefault && <span style={{ marginLeft: '8px', fontStyle: 'italic' }}>default</span>}
+                      {copiedValue === copyKey && <span style={{ marginLeft: '8px', color: theme.focusBorder }}>✓ copied</span>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// Large-graph mode. Above a threshold of nodes plus edges the widget draws less
+// detail: labels and arrowheads are hidden while zoomed out too far to read
+// them, layout transitions are skipped, PageRank and betweenness aren't offered,
+// the path finder offers only the shortest path, the cycle view doesn't list
+// cycles and sfdp is suggested. Far above it, the size is shown before anything
+// is laid out.
+
+import { tokens } from './dotSyntax';
+
+export const DEFAULT_LARGE_GRAPH_THRESHOLD = 1000; // nodes + edges
+export const HUGE_GRAPH_FACTOR = 10; // times the threshold: ask before laying out
+
+// Screen pixels per point below which labels and arrowheads are hidden (a 14pt
+// label is then under 8px tall)
+export const LOD_MIN_SCALE = 0.55;
+
+export function isLargeGraph(count, threshold) {
+  return threshold > 0 && count > threshold;
+}
+
+export function isHugeGraph(count, threshold) {
+  return threshold > 0 && count > threshold * HUGE_GRAPH_FACTOR;
+}
+
+const KEYWORDS = new Set(['strict', 'graph', 'digraph', 'subgraph', 'node', 'edge']);
+
+// Estimate of the nodes and edges in a DOT source, without laying it out:
+// { nodes, edges, total }. Edges between subgraphs count once.
+export function countElements(dot) {
+  const nodes = new Set();
+  let edges = 0;
+  let brackets = 0; // inside an attribute list
+  let previous = null;
+  let pending = null; // ID that is a node unless `=` follows
+  for (const token of tokens(dot)) {
+    if (token.op === '[') brackets++;
+    else if (token.op === ']') brackets = Math.max(0, brackets - 1);
+    if (brackets > 0 || token.op === ']') {
+      previous = token;
+      continue;
+    }
+    if (token.op !== '=' && pending !== null) nodes.add(pending);
+    pending = null;
+    if (token.op === 'edge') edges++;
+    if (token.id !== undefined) {
+      const keyword = token.bare && KEYWORDS.has(token.id.toLowerCase());
+      const named = previous?.bare && ['subgraph', 'graph', 'digraph'].includes(previous.id.toLowerCase());
+      const value = previous?.op === '=' || previous?.op === ':';
+      if (!keyword && !named && !value) pending = token.id;
+    }
+    previous = token;
+  }
+  if (pending !== null) nodes.add(pending);
+  return { nodes: nodes.size, edges, total: nodes.size + edges };
+}
@@ -0,0 +1,227 @@
+// Graphviz layout with a small cache, so that only a change of source, engine or
+// layout options runs Graphviz again. Highlighting and other interactive state is
+// drawn on top of the cached result (see overlays.js).
+//
+// Layouts run in a Web Worker so a slow sfdp/neato layout doesn't freeze the
+// infoview, and can be cancelled or cut off after a time budget.
+
+import workerSource from './layoutWorker.js?worker';
+import { buildGraphModel } from './graphModel';
+import { htmlLabels } from './dotSyntax';
+
+const MAX_CACHED_LAYOUTS = 16;
+const cache = new Map(); // key -> { svg, model, warnings }, oldest first
+
+export const DEFAULT_LAYOUT_TIMEOUT = 30000; // ms
+
+// Rejection reasons for layouts that were stopped rather than failed
+export class LayoutCancelledError extends Error {
+  constructor(message = 'Layout cancelled') {
+    super(message);
+    this.name = 'LayoutCancelledError';
+  }
+}
+
+export class LayoutTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Layout took longer than ${(timeoutMs / 1000).toFixed(1)}s and was stopped`);
+    this.name = 'LayoutTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Graphviz rejected the graph. `errors` holds its messages as reported,
+// { message, level }, including any warnings that came before the error.
+export class GraphvizError extends Error {
+  constructor(errors) {
+    const failures = errors.filter(e => e.level === 'error');
+    super((failures.length > 0 ? failures : errors).map(e => e.message).join('\n') || 'Failed to render graph');
+    this.name = 'GraphvizError';
+    this.errors = errors;
+  }
+}
+
+// Cache key for a layout: everything that changes what Graphviz produces
+export function layoutKey(dotSource, options) {
+  return JSON.stringify([dotSource, options]);
+}
+
+function remember(key, layout) {
+  cache.set(key, layout);
+  if (cache.size > MAX_CACHED_LAYOUTS) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function recall(key) {
+  const cached = cache.get(key);
+  if (cached) {
+    // Move to the back so it's evicted last
+    cache.delete(key);
+    cache.set(key, cached);
+  }
+  return cached;
+}
+
+// Set once a worker can't be started or its script never runs, e.g. because
+// the webview's CSP forbids workers. Not set when a layout crashes a worker.
+let workersBlocked = false;
+
+// Start the layout worker. If the webview can't start workers, run the same
+// script on the main thread instead.
+function startWorker() {
+  if (!workersBlocked) {
+    try {
+      const url = URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' }));
+      const worker = new Worker(url);
+      URL.revokeObjectURL(url);
+      return worker;
+    } catch (_) {
+      workersBlocked = true;
+    }
+  }
+  return startInlineWorker();
+}
+
+// The worker script on the main thread, behind a worker-shaped object. Graphviz
+// can't be interrupted there: terminating drops the requests and replies still
+// queued, but a layout that has started runs to the end.
+function startInlineWorker() {
+  const queued = new Set();
+  const later = (deliver) => {
+    const timer = setTimeout(() => {
+      queued.delete(timer);
+      deliver();
+    });
+    queued.add(timer);
+  };
+  const scope = {
+    location,
+    onmessage: null,
+    postMessage: (data) => later(() => fake.onmessage?.({ data }))
+  };
+  const fake = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (data) => later(() => scope.onmessage?.({ data })),
+    terminate: () => {
+      queued.forEach(clearTimeout);
+      queued.clear();
+      scope.onmessage = null;
+      fake.onmessage = null;
+    }
+  };
+  new Function('self', workerSource)(scope);
+  return fake;
+}
+
+// One runner per widget: at most one layout in flight, and starting a new one
+// drops the previous (stale) one. Graphviz can't be interrupted mid-layout, so
+// dropping, cancelling or timing out a layout terminates the worker; the next
+// layout starts a fresh one.
+export function createLayoutRunner() {
+  let worker = null;
+  let job = null; // { id, key, dotSource, options, promise, resolve, reject, timer }
+  let nextId = 1;
+
+  const stopWorker = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+
+  const finish = (error) => {
+    if (!job) return;
+    clearTimeout(job.timer);
+    const { reject } = job;
+    job = null;
+    stopWorker();
+    reject(error);
+  };
+
+  const ensureWorker = () => {
+    if (worker) return worker;
+    worker = startWorker();
+    let loaded = false; // the worker script ran (it says so first thing)
+    worker.onmessage = ({ data }) => {
+      if (data.ready) {
+        loaded = true;
+        return;
+      }
+      if (!job || data.id !== job.id) return; // answer to a dropped request
+      const { key, dotSource, resolve, reject, timer } = job;
+      clearTimeout(timer);
+      job = null;
+      if (data.status !== 'success') {
+        reject(new GraphvizError(data.errors));
+        return;
+      }
+      let layout;
+      try {
+        layout = {
+          svg: data.output.svg,
+          model: buildGraphModel(JSON.parse(data.output.json0), { htmlLabels: htmlLabels(dotSource) }),
+          warnings: data.errors.filter(e => e.level === 'warning')
+        };
+      } catch (err) {
+        // Output the model can't be built from fails the layout like a Graphviz error
+        reject(new GraphvizError([...data.errors, { level: 'error', message: `Unreadable layout output: ${err.message || err}` }]));
+        return;
+      }
+      remember(key, layout);
+      resolve(layout);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      if (!loaded) {
+        // The worker script never ran: lay out on the main thread from now on,
+        // starting with this job
+        workersBlocked = true;
+        stopWorker();
+        if (job) ensureWorker().postMessage({ id: job.id, dotSource: job.dotSource, options: job.options });
+        return;
+      }
+      // Graphviz crashed or ran out of memory: this layout failed, and the next
+      // one gets a fresh worker
+      if (job) finish(new GraphvizError([{ level: 'error', message: e.message || 'Layout worker failed' }]));
+      else stopWorker();
+    };
+    return worker;
+  };
+
+  return {
+    // Lay out `dotSource` once, producing both the SVG markup and the graph model.
+    // Rejects with GraphvizError if the layout fails, or with
+    // LayoutCancelledError / LayoutTimeoutError if it was stopped.
+    run(dotSource, options, { timeoutMs = DEFAULT_LAYOUT_TIMEOUT } = {}) {
+      const key = layoutKey(dotSource, options);
+      if (job?.key === key) return job.promise;
+      if (job) finish(new LayoutCancelledError('Superseded by a newer layout'));
+      const cached = recall(key);
+      if (cached) return Promise.resolve(cached);
+
+      let settle;
+      const promise = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+      const id = nextId++;
+      const timer = timeoutMs > 0
+        ? setTimeout(() => finish(new LayoutTimeoutError(timeoutMs)), timeoutMs)
+        : null;
+      job = { id, key, dotSource, options, promise, ...settle, timer };
+      ensureWorker().postMessage({ id, dotSource, options });
+      return promise;
+    },
+
+    cancel() {
+      finish(new LayoutCancelledError());
+    },
+
+    dispose() {
+      finish(new LayoutCancelledError());
+      stopWorker();
+    }
+  };
+}
+
+// Parse cached SVG markup into a fresh element for the DOM
+export function svgElementFrom(layout) {
+  return new DOMParser().parseFromString(layout.svg, 'image/svg+xml').documentElement;
+}
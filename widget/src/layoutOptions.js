@@ -0,0 +1,110 @@
+// The layout options panel: common graph, node and edge attributes tried out
+// live over the source's, and the Dot4 lines that make them permanent.
+//
+// Overrides are { graph: {}, node: {}, edge: {} } maps from attribute name to
+// value. They're applied through modelToDot like the other derived graphs. Node
+// and edge values are defaults, like the node_defaults and edge_defaults lines
+// they're copied as: an attribute an element sets itself keeps its value.
+
+// Options offered in each group. `values` makes a choice list, otherwise it's a
+// number input with `min`/`step`; `engines` limits it to the engines that read it.
+export const OPTION_GROUPS = [
+  {
+    scope: 'graph',
+    title: 'Graph',
+    options: [
+      { name: 'rankdir', values: ['TB', 'LR', 'BT', 'RL'], engines: ['dot'] },
+      { name: 'splines', values: ['true', 'false', 'line', 'polyline', 'ortho', 'curved'], engines: ['dot', 'neato', 'fdp', 'sfdp', 'circo', 'twopi'] },
+      { name: 'nodesep', min: 0.02, step: 0.05, engines: ['dot'] },
+      { name: 'ranksep', min: 0.02, step: 0.1, engines: ['dot', 'twopi'] },
+      { name: 'concentrate', values: ['true', 'false'], engines: ['dot'] },
+      { name: 'newrank', values: ['true', 'false'], engines: ['dot'] },
+      { name: 'ordering', values: ['out', 'in'], engines: ['dot'] },
+      { name: 'overlap', values: ['true', 'false', 'scale', 'prism', 'compress', 'vpsc', 'ortho'], engines: ['neato', 'fdp', 'sfdp', 'circo', 'twopi'] },
+      { name: 'K', min: 0.05, step: 0.05, engines: ['fdp', 'sfdp'] },
+      { name: 'mindist', min: 0, step: 0.1, engines: ['circo'] }
+    ]
+  },
+  {
+    scope: 'node',
+    title: 'Nodes',
+    options: [
+      { name: 'shape', values: ['box', 'ellipse', 'circle', 'plaintext', 'plain', 'diamond', 'record', 'point'] },
+      { name: 'style', values: ['filled', 'rounded', 'filled,rounded', 'dashed', 'bold'] },
+      { name: 'fontname', values: ['Helvetica', 'Times-Roman', 'Courier', 'Arial'] },
+      { name: 'fontsize', min: 1, step: 1 },
+      { name: 'margin', min: 0, step: 0.02 }
+    ]
+  },
+  {
+    scope: 'edge',
+    title: 'Edges',
+    options: [
+      { name: 'arrowhead', values: ['normal', 'vee', 'onormal', 'empty', 'dot', 'diamond', 'none'] },
+      { name: 'style', values: ['solid', 'dashed', 'dotted', 'bold'] },
+      { name: 'penwidth', min: 0, step: 0.5 },
+      { name: 'arrowsize', min: 0.1, step: 0.1 },
+      { name: 'fontsize', min: 1, step: 1 }
+    ]
+  }
+];
+
+export const NO_OVERRIDES = { graph: {}, node: {}, edge: {} };
+
+// Node attributes that change a node's size: with one of these overridden, the
+// sizes Graphviz computed for the old values are dropped
+const SIZING = ['shape', 'fontsize', 'fontname', 'margin'];
+
+const applies = (option, engine) => !option.engines || option.engines.includes(engine);
+
+// OPTION_GROUPS with only the options `engine` reads
+export function optionsForEngine(engine) {
+  return OPTION_GROUPS.map(group => ({ ...group, options: group.options.filter(o => applies(o, engine)) }));
+}
+
+// The overrides that take effect with `engine`, or null if there are none
+export function activeOverrides(overrides, engine) {
+  const active = {};
+  let any = false;
+  for (const group of OPTION_GROUPS) {
+    active[group.scope] = {};
+    for (const option of group.options) {
+      const value = overrides[group.scope][option.name];
+      if (value === undefined || value === '' || !applies(option, engine)) continue;
+      active[group.scope][option.name] = value;
+      any = true;
+    }
+  }
+  return any ? active : null;
+}
+
+// modelToDot options with `overrides` (as from activeOverrides) merged in.
+// `own` says which attributes each element sets itself (see ownAttributes in
+// dotSyntax.js); node and edge overrides leave those alone.
+export function withOverrides(options, overrides, own = { nodes: new Map(), edges: new Map() }) {
+  if (!overrides) return options;
+  const { graph, node, edge } = overrides;
+  const unset = (attributes, set) => Object.fromEntries(Object.entries(attributes).filter(([name]) => !set?.has(name)));
+  return {
+    ...options,
+    graphAttributes: { ...(options.graphAttributes || {}), ...graph },
+    nodeAttributes: (n) => {
+      const applied = unset(node, own.nodes.get(n.name));
+      const resize = SIZING.some(name => name in applied) ? { width: '', height: '' } : {};
+      return { ...(options.nodeAttributes?.(n) || {}), ...resize, ...applied };
+    },
+    edgeAttributes: (e) => ({ ...(options.edgeAttributes?.(e) || {}), ...unset(edge, own.edges.get(e.key)) })
+  };
+}
+
+const dot4Value = (value) => `"${String(value).replace(/[\\"]/g, c => `\\${c}`)}"`;
+
+// Lines to paste into a dot { } block: graph attributes, node_defaults, edge_defaults
+export function dot4Lines(overrides) {
+  if (!overrides) return '';
+  const pairs = (attrs) => Object.entries(attrs).map(([name, value]) => `${name}=${dot4Value(value)}`).join(' ');
+  const lines = Object.entries(overrides.graph).map(([name, value]) => `${name} ${dot4Value(value)}`);
+  if (Object.keys(overrides.node).length > 0) lines.push(`node_defaults ${pairs(overrides.node)}`);
+  if (Object.keys(overrides.edge).length > 0) lines.push(`edge_defaults ${pairs(overrides.edge)}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,28 @@
+// Runs Graphviz layouts off the infoview's UI thread.
+//
+// Receives { id, dotSource, options } and replies with { id, status, output, errors },
+// where `output` holds the SVG and JSON renderings of the same layout. Says
+// { ready: true } as soon as the script runs, so that a worker that was never
+// allowed to start can be told apart from one that crashed in a layout. Bundled on
+// its own and inlined into the widget (see rollup.config.js).
+
+import { instance } from '@viz-js/viz';
+
+const vizPromise = instance();
+
+self.onmessage = async (e) => {
+  const { id, dotSource, options } = e.data;
+  try {
+    const viz = await vizPromise;
+    const result = viz.renderFormats(dotSource, ['svg', 'json0'], options);
+    self.postMessage({ id, status: result.status, output: result.output, errors: result.errors });
+  } catch (err) {
+    self.postMessage({
+      id,
+      status: 'failure',
+      errors: [{ level: 'error', message: String(err?.message || err) }]
+    });
+  }
+};
+
+self.postMessage({ ready: true });
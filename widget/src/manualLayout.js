@@ -0,0 +1,91 @@
+// Manual layout: nodes dragged by hand, then laid out again by Graphviz's `nop`
+// engine (what `neato -n` runs), which leaves every node where it is and only
+// routes the edges. The DOT written for it pins each node with pos="x,y!", so it
+// can be exported and laid out the same way elsewhere.
+
+import { modelToDot } from './dotWriter';
+
+// Edge routing choices -> the `splines` graph attribute
+export const EDGE_ROUTING = { spline: 'true', straight: 'line' };
+
+const POINTS_PER_INCH = 72;
+const CLUSTER_MARGIN = 8; // pt around a cluster's contents
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Current position of every node of a laid-out model
+export function nodePositions(model) {
+  const positions = new Map();
+  model.nodes.forEach(node => {
+    if (node.pos) positions.set(node.name, node.pos);
+  });
+  return positions;
+}
+
+// Cluster bounding boxes around the nodes' new positions: `nop` only draws
+// clusters that come with a bb. Inner clusters are sized first so the outer
+// ones can enclose them.
+function clusterBoxes(model, positions) {
+  const depth = (cluster) => {
+    let d = 0;
+    for (let c = cluster.parent; c; c = model.clusters.get(c)?.parent) d++;
+    return d;
+  };
+  const clusters = [...model.clusters.values()].sort((a, b) => depth(b) - depth(a));
+  const boxes = new Map(); // name -> [llx, lly, urx, ury]
+  for (const cluster of clusters) {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    const include = ([llx, lly, urx, ury]) => {
+      box[0] = Math.min(box[0], llx);
+      box[1] = Math.min(box[1], lly);
+      box[2] = Math.max(box[2], urx);
+      box[3] = Math.max(box[3], ury);
+    };
+    for (const name of cluster.nodes) {
+      const node = model.nodes.get(name);
+      const p = positions.get(name);
+      if (node && p) include([p.x - node.width / 2, p.y - node.height / 2, p.x + node.width / 2, p.y + node.height / 2]);
+    }
+    for (const inner of clusters) {
+      if (inner.parent === cluster.name && boxes.has(inner.name)) include(boxes.get(inner.name));
+    }
+    if (!Number.isFinite(box[0])) continue;
+    const labelHeight = cluster.label ? parseFloat(cluster.attributes.lheight || 0.25) * POINTS_PER_INCH : 0;
+    boxes.set(cluster.name, [
+      box[0] - CLUSTER_MARGIN, box[1] - CLUSTER_MARGIN,
+      box[2] + CLUSTER_MARGIN, box[3] + CLUSTER_MARGIN + labelHeight
+    ]);
+  }
+  return boxes;
+}
+
+// DOT for the `nop` engine with every node fixed at `positions` (name -> { x, y }
+// in points) and edges routed per `routing` (a key of EDGE_ROUTING)
+export function pinnedLayoutDot(model, positions, routing) {
+  const boxes = clusterBoxes(model, positions);
+  return modelToDot(model, {
+    nodeAttributes: (node) => {
+      const p = positions.get(node.name);
+      return { pos: p ? `${round(p.x)},${round(p.y)}!` : '' };
+    },
+    edgeAttributes: () => ({ pos: '' }),
+    clusterAttributes: (cluster) => ({ bb: boxes.get(cluster.name)?.map(n => round(n)).join(',') || '' }),
+    graphAttributes: { splines: EDGE_ROUTING[routing], bb: '' },
+    keepAttributes: new Set(['pos', 'bb'])
+  });
+}
+
+// DOT for a fresh `neato` layout that keeps only the `pinned` nodes in place.
+// Without -n, neato reads pos in inches.
+export function relayoutAroundPinsDot(model, pinned, routing) {
+  const positions = nodePositions(model);
+  return modelToDot(model, {
+    nodeAttributes: (node) => {
+      const p = pinned.has(node.name) && positions.get(node.name);
+      return { pos: p ? `${round(p.x / POINTS_PER_INCH, 4)},${round(p.y / POINTS_PER_INCH, 4)}!` : '' };
+    },
+    edgeAttributes: () => ({ pos: '' }),
+    graphAttributes: { splines: EDGE_ROUTING[routing] },
+    keepAttributes: new Set(['pos'])
+  });
+}
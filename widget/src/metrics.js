@@ -0,0 +1,42 @@
+// Node metrics for the Metrics overlay. Each node's value is sorted into one of
+// METRIC_COLORS.length bins between the smallest and largest value; the overlay
+// stylesheet colors (and optionally scales) nodes by bin.
+
+import { degrees, pageRank, betweenness, clusteringCoefficients } from './graphAlgorithms';
+
+// Sequential palette (viridis), low to high; the first bins are dark
+export const METRIC_COLORS = ['#440154', '#443983', '#31688e', '#21918c', '#35b779', '#90d743', '#fde725'];
+export const DARK_BINS = 3;
+
+const mapValues = (map, f) => new Map([...map].map(([k, v]) => [k, f(v)]));
+
+// The metrics on offer. `digits` is how many decimals to show (0: integers).
+// `expensive` ones take much longer than a pass over the edges, so large-graph
+// mode (see largeGraph.js) doesn't offer them.
+export const METRICS = {
+  degree: { label: 'Degree', digits: 0, compute: (m) => mapValues(degrees(m), d => d.in + d.out) },
+  inDegree: { label: 'In-degree', digits: 0, directed: true, compute: (m) => mapValues(degrees(m), d => d.in) },
+  outDegree: { label: 'Out-degree', digits: 0, directed: true, compute: (m) => mapValues(degrees(m), d => d.out) },
+  pageRank: { label: 'PageRank', digits: 4, expensive: true, compute: (m) => pageRank(m) },
+  betweenness: { label: 'Betweenness', digits: 1, expensive: true, compute: (m) => betweenness(m) },
+  clustering: { label: 'Clustering coefficient', digits: 3, compute: (m) => clusteringCoefficients(m) }
+};
+
+export function formatMetric(metric, value) {
+  return METRICS[metric].digits === 0 ? String(value) : value.toFixed(METRICS[metric].digits);
+}
+
+// Values of `metric` for the nodes of a model, with the bin of each node and
+// the value range of each bin: { values, bins, min, max, ranges: [{ from, to, count }] }
+export function computeMetric(model, metric) {
+  const values = METRICS[metric].compute(model);
+  const all = [...values.values()];
+  const min = all.length > 0 ? Math.min(...all) : 0;
+  const max = all.length > 0 ? Math.max(...all) : 0;
+  const n = METRIC_COLORS.length;
+  const step = (max - min) / n;
+  const bins = mapValues(values, v => (step > 0 ? Math.min(n - 1, Math.floor((v - min) / step)) : 0));
+  const ranges = METRIC_COLORS.map((_, i) => ({ from: min + i * step, to: min + (i + 1) * step, count: 0 }));
+  bins.forEach(bin => ranges[bin].count++);
+  return { values, bins, min, max, ranges };
+}
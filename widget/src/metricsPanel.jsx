@@ -0,0 +1,118 @@
+// Metrics panel: the legend of the metric's bins and a sortable list of the
+// top nodes (see metrics.js)
+
+import React from 'react';
+import { buttonStyle } from './theme';
+import { METRICS, METRIC_COLORS, formatMetric } from './metrics';
+
+// `metricTop` holds the [name, value] rows to list; `selectNode(name)` selects a
+// node and brings it into view
+export function MetricsPanel({
+  theme, graphModel, metric, setMetric, metricResult, metricSize, setMetricSize, metricSort, setMetricSort,
+  metricTop, metricTopN, setMetricTopN, selectedNode, selectNode
+}) {
+  return (
+    <div style={{
+      marginTop: '8px',
+      padding: '8px',
+      backgroundColor: theme.widgetBackground,
+      borderRadius: '4px',
+      fontSize: '12px',
+      color: theme.foreground
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '6px' }}>
+        <strong>{METRICS[metric].label}</strong>
+        <span style={{ opacity: 0.7 }}>
+          {formatMetric(metric, metricResult.min)} – {formatMetric(metric, metricResult.max)}
+        </span>
+        <span style={{ flex: 1 }} />
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px' }}>
+          <input type="checkbox" checked={metricSize} onChange={(e) => setMetricSize(e.target.checked)} />
+          Scale node size
+        </label>
+        <button onClick={() => setMetric(null)} style={buttonStyle(theme)} title="Hide the metrics overlay">
+          ✕
+        </button>
+      </div>
+      <div role="list" aria-label="Legend" style={{ display: 'flex', gap: '2px', marginBottom: '8px' }}>
+        {metricResult.ranges.map((range, i) => (
+          <div
+            key={i}
+            role="listitem"
+            style={{ flex: 1, textAlign: 'center', fontSize: '10px' }}
+            title={`${formatMetric(metric, range.from)} – ${formatMetric(metric, range.to)}: ${range.count} node${range.count === 1 ? '' : 's'}`}
+          >
+            <div style={{ height: '10px', backgroundColor: METRIC_COLORS[i], borderRadius: '2px' }} />
+            <span style={{ opacity: range.count > 0 ? 0.8 : 0.4 }}>{range.count}</span>
+          </div>
+        ))}
+      </div>
+      <table style={{ borderCollapse: 'collapse', width: '100%', fontFamily: 'monospace' }}>
+        <thead>
+          <tr>
+            {[['name', 'Node'], ['value', METRICS[metric].label]].map(([by, text]) => (
+              <th
+                key={by}
+                aria-sort={metricSort.by === by ? (metricSort.descending ? 'descending' : 'ascending') : 'none'}
+                style={{ textAlign: by === 'value' ? 'right' : 'left', fontWeight: 'normal', opacity: 0.7, padding: '2px 4px' }}
+              >
+                <button
+                  onClick={() => setMetricSort(prev => ({
+                    by,
+                    descending: prev.by === by ? !prev.descending : by === 'value'
+                  }))}
+                  style={{ border: 'none', background: 'none', color: 'inherit', font: 'inherit', cursor: 'pointer', padding: 0 }}
+                >
+                  {text} {metricSort.by === by ? (metricSort.descending ? '▼' : '▲') : ''}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {metricTop.map(([name, value]) => (
+            <tr
+              key={name}
+              onClick={() => selectNode(name)}
+              style={{
+                cursor: 'pointer',
+                backgroundColor: selectedNode?.type === 'node' && selectedNode.id === name ? theme.activeBackground : 'transparent'
+              }}
+              title="Select and show this node"
+            >
+              <td style={{ padding: '1px 4px' }}>
+                <span style={{
+                  display: 'inline-block',
+                  width: '8px',
+                  height: '8px',
+                  marginRight: '6px',
+                  borderRadius: '2px',
+                  backgroundColor: METRIC_COLORS[metricResult.bins.get(name)]
+                }} />
+                {graphModel.nodes.get(name)?.label || name}
+              </td>
+              <td style={{ padding: '1px 4px', textAlign: 'right' }}>{formatMetric(metric, value)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '4px', marginTop: '6px', fontSize: '11px' }}>
+        show
+        <select
+          value={metricTopN}
+          onChange={(e) => setMetricTopN(Number(e.target.value))}
+          style={{
+            fontSize: '11px',
+            backgroundColor: theme.inputBackground,
+            color: theme.foreground,
+            border: `1px solid ${theme.border}`,
+            borderRadius: '3px'
+          }}
+        >
+          {[10, 25, 50, Infinity].map(n => <option key={n} value={n}>{Number.isFinite(n) ? `top ${n}` : 'all'}</option>)}
+        </select>
+        of {metricResult.values.size} nodes
+      </label>
+    </div>
+  );
+}
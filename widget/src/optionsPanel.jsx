@@ -0,0 +1,92 @@
+// Layout options panel: graph, node and edge attributes to try with the current
+// engine without editing the source (see layoutOptions.js)
+
+import React from 'react';
+import { buttonStyle } from './theme';
+import { optionsForEngine, dot4Lines } from './layoutOptions';
+
+// `layoutOverrides` holds what was entered, `overrides` what applies to `engine`
+export function OptionsPanel({
+  theme, engine, layoutOverrides, overrides, sourceAttributes, setOverride, resetOverrides, copyValue, copiedValue
+}) {
+  return (
+    <div style={{
+      marginBottom: '8px',
+      padding: '8px',
+      backgroundColor: theme.widgetBackground,
+      border: `1px solid ${theme.border}`,
+      borderRadius: '4px',
+      fontSize: '11px',
+      color: theme.foreground
+    }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px' }}>
+        {optionsForEngine(engine).filter(group => group.options.length > 0).map(group => (
+          <fieldset key={group.scope} style={{ border: 'none', margin: 0, padding: 0, minWidth: '180px' }}>
+            <legend style={{ opacity: 0.7, padding: 0, marginBottom: '4px' }}>{group.title}</legend>
+            {group.options.map(option => {
+              const value = layoutOverrides[group.scope][option.name] ?? '';
+              const fromSource = group.scope === 'graph' ? sourceAttributes[option.name] : undefined;
+              const inputStyle = {
+                width: '110px',
+                fontSize: '11px',
+                backgroundColor: theme.inputBackground,
+                color: theme.foreground,
+                border: `1px solid ${value !== '' ? theme.focusBorder : theme.border}`,
+                borderRadius: '3px'
+              };
+              const id = `dot4-option-${group.scope}-${option.name}`;
+              return (
+                <div key={option.name} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '2px' }}>
+                  <label htmlFor={id} style={{ width: '80px', fontFamily: 'monospace' }}>{option.name}</label>
+                  {option.values ? (
+                    <select
+                      id={id}
+                      value={value}
+                      onChange={(e) => setOverride(group.scope, option.name, e.target.value)}
+                      style={inputStyle}
+                    >
+                      <option value="">{fromSource !== undefined ? `source (${fromSource})` : 'source'}</option>
+                      {option.values.map(v => <option key={v} value={v}>{v}</option>)}
+                    </select>
+                  ) : (
+                    <input
+                      id={id}
+                      type="number"
+                      min={option.min}
+                      step={option.step}
+                      value={value}
+                      placeholder={fromSource !== undefined ? `source (${fromSource})` : 'source'}
+                      onChange={(e) => setOverride(group.scope, option.name, e.target.value)}
+                      style={inputStyle}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </fieldset>
+        ))}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginTop: '6px' }}>
+        <span style={{ opacity: 0.7, flex: 1 }}>
+          Options for {engine}; node and edge values are defaults, for the nodes and edges that don't set their own
+        </span>
+        <button
+          onClick={() => copyValue('dot4', dot4Lines(overrides))}
+          disabled={!overrides}
+          style={buttonStyle(theme)}
+          title="Copy the options as lines for the dot { } block"
+        >
+          {copiedValue === 'dot4' ? '✓ Copied' : '📋 Copy as Dot4'}
+        </button>
+        <button
+          onClick={resetOverrides}
+          disabled={!overrides}
+          style={buttonStyle(theme)}
+          title="Back to the source's attributes"
+        >
+          ⟲ Reset
+        </button>
+      </div>
+    </div>
+  );
+}
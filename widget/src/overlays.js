@@ -0,0 +1,147 @@
+// Highlight overlays drawn on top of a rendered graph.
+//
+// Instead of restyling every element (or re-running layout) when the hovered node,
+// the animation frame or the diff changes, each state is a CSS class on the SVG
+// groups Graphviz emitted. A stylesheet inside the SVG draws them, and updating an
+// overlay only touches the groups whose classes actually change.
+
+import { METRIC_COLORS, DARK_BINS } from './metrics';
+
+const SHAPES = 'ellipse, polygon, path, polyline';
+
+// Colors of strongly connected components in the cycle view
+export const COMPONENT_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+// Cycle view: nodes and edges of each component in the component's color
+function componentRules(shapes) {
+  return COMPONENT_COLORS.map((color, i) => `
+    ${shapes(`.node.dot4-scc-${i}`)} { stroke: ${color} !important; stroke-width: 3 !important; }
+    .edge.dot4-scc-${i} path { stroke: ${color} !important; stroke-width: 2 !important; }
+    .edge.dot4-scc-${i} polygon { stroke: ${color} !important; fill: ${color} !important; }`).join('');
+}
+
+// Metrics overlay: one class per bin fills the node with the bin's color and,
+// with dot4-metric-size on the SVG, scales it up around its center
+function metricRules() {
+  return METRIC_COLORS.map((color, i) => `
+    .node.dot4-metric-${i} ellipse, .node.dot4-metric-${i} polygon, .node.dot4-metric-${i} path { fill: ${color} !important; }
+    .node.dot4-metric-${i} text { fill: ${i < DARK_BINS ? '#ffffff' : '#000000'} !important; }
+    svg.dot4-metric-size .node.dot4-metric-${i} { scale: ${1 + i * 0.1}; }`).join('');
+}
+
+// Stylesheet for all overlay classes. Rules use !important so they win over the
+// inline theme styling applied to the base drawing.
+export function overlayStyleSheet(darkMode) {
+  const shapes = (sel) => SHAPES.split(', ').map(s => `${sel} ${s}`).join(', ');
+  return `
+    .node.dot4-source, .edge.dot4-source { cursor: pointer; }
+    .node.dot4-hovered { opacity: 0.8; }
+    .cluster > text { cursor: pointer; }
+    .cluster > polygon, .cluster > path { pointer-events: visibleFill; }
+    svg.dot4-editing .node { cursor: move; }
+    svg.dot4-connecting .node { cursor: crosshair; }
+    .dot4-connector { stroke: #007acc; stroke-width: 2; stroke-dasharray: 4,3; pointer-events: none; }
+    ${shapes('.node.dot4-pinned')} { stroke-width: 2.5 !important; stroke-dasharray: 6,2; }
+    .cluster.dot4-selected > polygon, .cluster.dot4-selected > path { stroke: #007acc !important; stroke-width: 3 !important; stroke-dasharray: 6,3; }
+    .node:focus { outline: none; }
+    ${shapes('.node:focus-visible')} { stroke: #007acc !important; stroke-width: 3 !important; stroke-dasharray: 4,2; }
+
+    ${shapes('.node.dot4-in')} { stroke: #2196f3 !important; stroke-width: 3 !important; filter: drop-shadow(0 0 4px #2196f3); }
+    .node.dot4-in text { fill: #2196f3 !important; font-weight: bold; }
+    ${shapes('.node.dot4-out')} { stroke: #ff9800 !important; stroke-width: 3 !important; filter: drop-shadow(0 0 4px #ff9800); }
+    .node.dot4-out text { fill: #ff9800 !important; font-weight: bold; }
+    .edge.dot4-in path, .edge.dot4-in polygon { stroke: #2196f3 !important; stroke-width: 2.5 !important; filter: drop-shadow(0 0 3px #2196f3); }
+    .edge.dot4-out path, .edge.dot4-out polygon { stroke: #ff9800 !important; stroke-width: 2.5 !important; filter: drop-shadow(0 0 3px #ff9800); }
+    svg.dot4-focus .node:not(.dot4-in):not(.dot4-out):not(.dot4-hovered) { opacity: 0.3; }
+    svg.dot4-focus .edge:not(.dot4-in):not(.dot4-out) { opacity: 0.2; }
+
+    ${shapes('.node.dot4-active')} { stroke: #ff9800 !important; stroke-width: 3 !important; fill: ${darkMode ? '#4a3000' : '#fff3e0'} !important; }
+    .node.dot4-active text { fill: #ff9800 !important; font-weight: bold; }
+    .edge.dot4-active path, .edge.dot4-active polygon { stroke: #ff9800 !important; stroke-width: 3 !important; }
+    .edge.dot4-active text { fill: #ff9800 !important; font-weight: bold; }
+    ${shapes('.node.dot4-visited')} { stroke: #ffb74d !important; stroke-width: 2 !important; fill: ${darkMode ? '#2e2416' : '#fff8ee'} !important; }
+    .edge.dot4-visited path, .edge.dot4-visited polygon { stroke: #ffb74d !important; stroke-width: 2 !important; }
+
+    svg.dot4-searching .node:not(.dot4-match), svg.dot4-searching .edge:not(.dot4-match) { opacity: 0.25; }
+    ${shapes('.node.dot4-match')} { stroke: #d500f9 !important; stroke-width: 2.5 !important; }
+    .edge.dot4-match path, .edge.dot4-match polygon { stroke: #d500f9 !important; stroke-width: 2 !important; }
+    .edge.dot4-match text { fill: #d500f9 !important; font-weight: bold; }
+    ${shapes('.node.dot4-current')}, .edge.dot4-current path { stroke-width: 4 !important; filter: drop-shadow(0 0 6px #d500f9); }
+
+    svg.dot4-pathing .node:not(.dot4-path), svg.dot4-pathing .edge:not(.dot4-path) { opacity: 0.25; }
+    ${shapes('.node.dot4-path')} { stroke: #00bcd4 !important; stroke-width: 3 !important; }
+    .edge.dot4-path path, .edge.dot4-path polygon { stroke: #00bcd4 !important; stroke-width: 3 !important; filter: drop-shadow(0 0 3px #00bcd4); }
+    ${shapes('.node.dot4-path-start')} { stroke: #4caf50 !important; stroke-width: 4 !important; }
+    ${shapes('.node.dot4-path-end')} { stroke: #e91e63 !important; stroke-width: 4 !important; }
+
+    ${shapes('.node.dot4-endpoint')} { stroke: #7c4dff !important; stroke-width: 4 !important; filter: drop-shadow(0 0 6px #7c4dff); }
+    .edge.dot4-endpoint path, .edge.dot4-endpoint polygon { stroke: #7c4dff !important; stroke-width: 3 !important; }
+
+    ${shapes('.node.dot4-focus-center')} { stroke: #00897b !important; stroke-width: 4 !important; }
+    .node.dot4-focus-center text { font-weight: bold; }
+
+    svg.dot4-cycles .node:not(.dot4-scc), svg.dot4-cycles .edge:not(.dot4-scc) { opacity: 0.35; }
+    ${componentRules(shapes)}
+    .edge.dot4-closing path { stroke-width: 3 !important; stroke-dasharray: 6,3; }
+    ${shapes('.node.dot4-cycle')} { stroke-width: 5 !important; filter: drop-shadow(0 0 5px #f44336); }
+    .edge.dot4-cycle path, .edge.dot4-cycle polygon { stroke-width: 3.5 !important; filter: drop-shadow(0 0 4px #f44336); }
+
+    ${metricRules()}
+    svg.dot4-metric-size .node { transform-box: fill-box; transform-origin: center; }
+
+    svg.dot4-lod text, svg.dot4-lod .edge polygon { display: none; }
+
+    ${shapes('.node.dot4-added')} { stroke: #4caf50 !important; stroke-width: 3 !important; fill: ${darkMode ? '#1b3a1f' : '#e8f5e9'} !important; }
+    ${shapes('.node.dot4-removed')} { stroke: #f44336 !important; stroke-width: 3 !important; fill: ${darkMode ? '#3d1a1a' : '#ffebee'} !important; stroke-dasharray: 5,5; }
+    .edge.dot4-added path, .edge.dot4-added polygon { stroke: #4caf50 !important; stroke-width: 2 !important; }
+    .edge.dot4-removed path, .edge.dot4-removed polygon { stroke: #f44336 !important; stroke-width: 2 !important; stroke-dasharray: 5,5; }
+    ${shapes('.node.dot4-modified')} { stroke: #ffb300 !important; stroke-width: 3 !important; fill: ${darkMode ? '#3d3000' : '#fff8e1'} !important; }
+    .edge.dot4-modified path, .edge.dot4-modified polygon { stroke: #ffb300 !important; stroke-width: 2 !important; }
+  `;
+}
+
+// Add (or replace) the overlay stylesheet in an SVG element
+export function installOverlayStyles(svg, darkMode) {
+  let style = svg.querySelector('style.dot4-overlays');
+  if (!style) {
+    style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+    style.setAttribute('class', 'dot4-overlays');
+    svg.insertBefore(style, svg.firstChild);
+  }
+  style.textContent = overlayStyleSheet(darkMode);
+}
+
+// Classes currently applied by each overlay layer, per SVG element
+const applied = new WeakMap(); // svg -> Map<layer, Map<svgId, string[]>>
+
+// Set the classes of one overlay layer (e.g. 'hover', 'diff') to `classes`,
+// a Map from SVG group id to class names. Groups that had classes from this
+// layer before but are no longer listed are cleared.
+export function setOverlay(svg, layer, classes) {
+  if (!applied.has(svg)) applied.set(svg, new Map());
+  const layers = applied.get(svg);
+  const previous = layers.get(layer) || new Map();
+
+  for (const [id, names] of previous) {
+    const next = classes.get(id);
+    const stale = next ? names.filter(n => !next.includes(n)) : names;
+    if (stale.length > 0) svg.getElementById(id)?.classList.remove(...stale);
+  }
+  for (const [id, names] of classes) {
+    const prev = previous.get(id);
+    const fresh = prev ? names.filter(n => !prev.includes(n)) : names;
+    if (fresh.length > 0) svg.getElementById(id)?.classList.add(...fresh);
+  }
+  layers.set(layer, classes);
+}
+
+// Helper for building overlay class maps
+export function addClass(classes, id, name) {
+  if (!id) return;
+  const names = classes.get(id);
+  if (names) {
+    if (!names.includes(name)) names.push(name);
+  } else {
+    classes.set(id, [name]);
+  }
+}
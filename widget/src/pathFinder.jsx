@@ -0,0 +1,126 @@
+// Path finder panel: the endpoints and length cap, then the paths found between
+// them one at a time, each node and edge linked to its source
+
+import React from 'react';
+import { buttonStyle } from './theme';
+import { edgesAlong } from './graphAlgorithms';
+
+// `pathSearch` is the search's { paths, complete } (see shortestPaths) and
+// `pathResults` its paths, or null while it runs
+export function PathFinder({
+  theme, graphModel, pathStart, pathEnd, setPathStart, setPathEnd, clearPath, pathMaxLength, setPathMaxLength,
+  pathSearch, pathResults, pathLimit, pathIndex, setPathIndex, currentPath, sourceLocationMap, goToSource
+}) {
+  return (
+    <div style={{
+      marginTop: '8px',
+      padding: '8px',
+      backgroundColor: theme.widgetBackground,
+      borderRadius: '4px',
+      fontSize: '12px',
+      fontFamily: 'monospace',
+      color: theme.foreground
+    }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <strong>Path:</strong>
+        <span style={{ color: '#4caf50' }}>{pathStart ?? '(shift-click a start)'}</span>
+        →
+        <span style={{ color: '#e91e63' }}>{pathEnd ?? '(shift-click a target)'}</span>
+        <button
+          onClick={() => { setPathStart(pathEnd); setPathEnd(pathStart); }}
+          style={buttonStyle(theme)}
+          title="Swap start and target"
+        >
+          ⇄
+        </button>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px' }}>
+          max length
+          <input
+            type="number"
+            min={1}
+            max={50}
+            value={pathMaxLength}
+            onChange={(e) => setPathMaxLength(Math.max(1, Math.min(50, Number(e.target.value) || 1)))}
+            style={{
+              width: '44px',
+              fontSize: '11px',
+              backgroundColor: theme.inputBackground,
+              color: theme.foreground,
+              border: `1px solid ${theme.border}`,
+              borderRadius: '3px'
+            }}
+          />
+        </label>
+        <div style={{ flex: 1 }} />
+        <button onClick={clearPath} style={buttonStyle(theme)} title="Clear path">
+          ✕
+        </button>
+      </div>
+
+      {pathResults && pathResults.length === 0 && (
+        <div style={{ marginTop: '6px', color: theme.errorForeground }}>
+          {pathSearch.complete
+            ? `No path from ${pathStart} to ${pathEnd} within ${pathMaxLength} hops`
+            : `No path from ${pathStart} to ${pathEnd} found before the search gave up`}
+        </div>
+      )}
+
+      {currentPath && (
+        <div style={{ marginTop: '6px' }}>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '4px' }}>
+            <span>
+              {pathIndex === 0 ? 'Shortest path' : 'Path'} {Math.min(pathIndex, pathResults.length - 1) + 1} of {pathResults.length}
+              {pathSearch.complete && pathResults.length < pathLimit ? '' : '+'}
+              {' '}({currentPath.length - 1} hop{currentPath.length === 2 ? '' : 's'})
+            </span>
+            <button
+              onClick={() => setPathIndex((pathIndex - 1 + pathResults.length) % pathResults.length)}
+              disabled={pathResults.length < 2}
+              style={buttonStyle(theme)}
+              title="Previous path"
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => setPathIndex((pathIndex + 1) % pathResults.length)}
+              disabled={pathResults.length < 2}
+              style={buttonStyle(theme)}
+              title="Next path"
+            >
+              ↓
+            </button>
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center' }}>
+            {currentPath.map((name, i) => {
+              const edge = i > 0 ? edgesAlong(graphModel, [currentPath[i - 1], name])[0] : null;
+              return (
+                <React.Fragment key={`${i}-${name}`}>
+                  {i > 0 && (edge && sourceLocationMap.has(edge.id) ? (
+                    <span
+                      onClick={() => goToSource(edge.id)}
+                      style={{ cursor: 'pointer', color: theme.focusBorder }}
+                      title={`Go to source of ${edge.id}`}
+                    >
+                      →
+                    </span>
+                  ) : <span style={{ opacity: 0.6 }}>→</span>)}
+                  {sourceLocationMap.has(name) ? (
+                    <span
+                      onClick={() => goToSource(name)}
+                      style={{ cursor: 'pointer', color: theme.focusBorder, textDecoration: 'underline' }}
+                      title="Go to source definition"
+                    >
+                      {name}
+                    </span>
+                  ) : (
+                    <span>{name}</span>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
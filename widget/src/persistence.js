@@ -0,0 +1,91 @@
+// View state kept across remounts. Every edit to the Lean file re-elaborates the
+// command and mounts a fresh widget; the state is saved under the `stateKey`
+// prop (file, line and graph name of the command) and read back when the same
+// graph comes back. localStorage keeps it across webview reloads; an in-memory
+// copy covers webviews where storage is unavailable.
+
+const PREFIX = 'dot4-view:';
+const MAX_SAVED = 100; // graphs remembered; the least recently saved go first
+
+const memory = new Map(); // key -> JSON
+
+function storage() {
+  try {
+    return window.localStorage || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Unlimited focus radii are saved as null (JSON has no Infinity)
+const revive = (key, value) => (key === 'hops' && value === null ? Infinity : value);
+
+// Saved state for `key`, or null
+export function loadViewState(key) {
+  if (!key) return null;
+  let json = memory.get(key);
+  try {
+    json = storage()?.getItem(PREFIX + key) ?? json;
+  } catch (_) {
+    // fall back to the in-memory copy
+  }
+  if (!json) return null;
+  try {
+    return JSON.parse(json, revive).state;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Save `state` (plain data; Sets are saved as arrays) under `key`
+export function saveViewState(key, state) {
+  if (!key) return;
+  const json = JSON.stringify({ savedAt: Date.now(), state }, (_, v) => (v instanceof Set ? [...v] : v));
+  memory.set(key, json);
+  const store = storage();
+  if (!store) return;
+  try {
+    store.setItem(PREFIX + key, json);
+    prune(store);
+  } catch (_) {
+    // storage full or blocked: the in-memory copy still covers remounts
+  }
+}
+
+export function clearViewState(key) {
+  if (!key) return;
+  memory.delete(key);
+  try {
+    storage()?.removeItem(PREFIX + key);
+  } catch (_) {
+    // nothing saved there
+  }
+}
+
+// Drop the oldest saved states beyond MAX_SAVED
+function prune(store) {
+  const saved = [];
+  for (let i = 0; i < store.length; i++) {
+    const key = store.key(i);
+    if (!key?.startsWith(PREFIX)) continue;
+    let savedAt = 0;
+    try {
+      savedAt = JSON.parse(store.getItem(key)).savedAt || 0;
+    } catch (_) {
+      // unreadable entries go first
+    }
+    saved.push({ key, savedAt });
+  }
+  if (saved.length <= MAX_SAVED) return;
+  saved.sort((a, b) => a.savedAt - b.savedAt)
+    .slice(0, saved.length - MAX_SAVED)
+    .forEach(({ key }) => store.removeItem(key));
+}
+
+// Short hash of a string (e.g. a layout key), to tell whether a saved view
+// belongs to the same layout without storing the whole DOT source
+export function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  return hash.toString(36);
+}
@@ -0,0 +1,98 @@
+// Search box with match navigation, and the filter that lays out only the
+// matches and their context
+
+import React from 'react';
+import { buttonStyle } from './theme';
+
+export function SearchBar({
+  theme, searchQuery, setSearchQuery, onSearchKeyDown, searchRegex, setSearchRegex, matcher,
+  searchMatches, searchIndex, stepSearch, filterMatches, setFilterMatches, filterHops, setFilterHops
+}) {
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '4px',
+      marginBottom: '8px',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      fontSize: '11px',
+      color: theme.foreground
+    }}>
+      <input
+        type="text"
+        value={searchQuery}
+        onChange={(e) => setSearchQuery(e.target.value)}
+        onKeyDown={onSearchKeyDown}
+        placeholder="Search nodes and edge labels…"
+        title="Enter / Shift+Enter: next / previous match, Esc: clear"
+        style={{
+          flex: '0 1 220px',
+          padding: '2px 6px',
+          fontSize: '11px',
+          border: `1px solid ${matcher.error ? '#f44336' : theme.border}`,
+          borderRadius: '3px',
+          backgroundColor: theme.inputBackground,
+          color: theme.foreground
+        }}
+      />
+      <button
+        onClick={() => setSearchRegex(!searchRegex)}
+        style={buttonStyle(theme, searchRegex)}
+        title="Use regular expression"
+      >
+        .*
+      </button>
+      <span style={{ minWidth: '56px', opacity: 0.7, color: matcher.error ? '#f44336' : undefined }}>
+        {matcher.error
+          ? 'Invalid regex'
+          : matcher.test
+            ? (searchMatches.length > 0
+              ? `${Math.min(searchIndex, searchMatches.length - 1) + 1} of ${searchMatches.length}`
+              : 'No results')
+            : ''}
+      </span>
+      <button
+        onClick={() => stepSearch(-1)}
+        disabled={searchMatches.length === 0}
+        style={buttonStyle(theme)}
+        title="Previous match (Shift+Enter)"
+      >
+        ↑
+      </button>
+      <button
+        onClick={() => stepSearch(1)}
+        disabled={searchMatches.length === 0}
+        style={buttonStyle(theme)}
+        title="Next match (Enter)"
+      >
+        ↓
+      </button>
+      <button
+        onClick={() => setFilterMatches(!filterMatches)}
+        disabled={!matcher.test}
+        style={buttonStyle(theme, filterMatches)}
+        title="Lay out only the matches and their context"
+      >
+        ⧩ Filter
+      </button>
+      {filterMatches && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          context
+          <select
+            value={filterHops}
+            onChange={(e) => setFilterHops(Number(e.target.value))}
+            style={{
+              fontSize: '11px',
+              backgroundColor: theme.inputBackground,
+              color: theme.foreground,
+              border: `1px solid ${theme.border}`,
+              borderRadius: '3px'
+            }}
+          >
+            {[0, 1, 2, 3].map(k => <option key={k} value={k}>{k} hop{k === 1 ? '' : 's'}</option>)}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+// Edits to the Lean source of a graph, made from the widget: renaming a node's
+// label, deleting nodes and edges, and adding edges.
+//
+// Elements come with the range and text of the `dot { }` statement that declared
+// them (the sourceLocations prop), and the block itself with its range and text
+// (the sourceBlock prop). Each function returns LSP TextEdits for the file, or
+// throws a SourceEditError explaining why the change can't be made in the source.
+
+export class SourceEditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceEditError';
+  }
+}
+
+// A Lean string literal
+export function leanString(value) {
+  return `"${String(value).replace(/[\\"]/g, c => `\\${c}`).replace(/\n/g, '\\n')}"`;
+}
+
+// The lines of the file covered by the block, keyed by line number. The first
+// line starts at the block's start character; what precedes it is unknown.
+function blockLines(block) {
+  const lines = new Map();
+  (block?.text || '').split('\n').forEach((text, i) => {
+    lines.set(block.startLine + i, { text, offset: i === 0 ? block.startChar : 0 });
+  });
+  return lines;
+}
+
+const isBlank = (s) => /^\s*$/.test(s);
+
+// Range of a location, widened to whole lines when the statement has them to itself
+function removalRange(loc, block) {
+  const lines = blockLines(block);
+  const first = lines.get(loc.startLine);
+  const last = lines.get(loc.endLine);
+  const range = {
+    start: { line: loc.startLine, character: loc.startChar },
+    end: { line: loc.endLine, character: loc.endChar }
+  };
+  if (!first || !last || first.offset > 0) return range;
+  const before = first.text.slice(0, loc.startChar - first.offset);
+  const after = last.text.slice(loc.endChar - last.offset);
+  if (isBlank(before) && isBlank(after)) {
+    return { start: { line: loc.startLine, character: 0 }, end: { line: loc.endLine + 1, character: 0 } };
+  }
+  return range;
+}
+
+const sameRange = (a, b) =>
+  a.startLine === b.startLine && a.startChar === b.startChar && a.endLine === b.endLine && a.endChar === b.endChar;
+
+// IDs of the other elements declared by the same statement (chains, fan-outs)
+function sharing(locations, loc) {
+  return locations.filter(other => other.id !== loc.id && sameRange(other, loc)).map(other => other.id);
+}
+
+// Set the label of a node, replacing its label=... or adding one
+export function renameLabelEdits(loc, label) {
+  if (!loc?.text) throw new SourceEditError('This node has no source location to edit');
+  if (!/^node\b/.test(loc.text)) throw new SourceEditError('Only labels of `node` declarations can be renamed here');
+  const value = /(\blabel\s*=\s*)("(?:[^"\\]|\\.)*"|\$\([^)]*\)|\S+)/.exec(loc.text);
+  if (value && value[2].startsWith('$(')) {
+    throw new SourceEditError('This label is computed by a Lean expression; edit it in the source');
+  }
+  const text = value
+    ? loc.text.slice(0, value.index) + value[1] + leanString(label) + loc.text.slice(value.index + value[0].length)
+    : `${loc.text} label=${leanString(label)}`;
+  return [{
+    range: { start: { line: loc.startLine, character: loc.startChar }, end: { line: loc.endLine, character: loc.endChar } },
+    newText: text
+  }];
+}
+
+// Delete the statement declaring an edge. Statements that declare several
+// edges at once (chains, fan-outs) can't be cut apart here.
+export function deleteEdgeEdits(locations, block, edgeId) {
+  const loc = locations.find(l => l.id === edgeId);
+  if (!loc) throw new SourceEditError('This edge has no source location to edit');
+  const others = sharing(locations, loc);
+  if (others.length > 0) {
+    throw new SourceEditError(`This edge is declared together with ${others.join(', ')}; edit the statement in the source`);
+  }
+  return [{ range: removalRange(loc, block), newText: '' }];
+}
+
+// Delete a node's declaration and the statements of the edges into or out of it,
+// unless a statement also declares unrelated edges. Returns { edits, kept }
+// where `kept` lists edges whose statements had to stay.
+export function deleteNodeEdits(locations, block, name, edges) {
+  const loc = locations.find(l => l.id === name);
+  if (!loc) throw new SourceEditError('This node has no source location to edit');
+  const incident = new Set(edges.filter(e => e.tail === name || e.head === name).map(e => e.id));
+  const edits = [{ range: removalRange(loc, block), newText: '' }];
+  const kept = [];
+  const done = [];
+  for (const edgeLoc of locations) {
+    if (!incident.has(edgeLoc.id) || done.some(d => sameRange(d, edgeLoc))) continue;
+    done.push(edgeLoc);
+    if (sharing(locations, edgeLoc).every(id => incident.has(id))) {
+      edits.push({ range: removalRange(edgeLoc, block), newText: '' });
+    } else {
+      kept.push(edgeLoc.id);
+    }
+  }
+  return { edits, kept };
+}
+
+// Insert an `edge` statement before the closing brace of the block, on a line
+// of its own (indented like the block's contents) if the brace has one
+export function addEdgeEdits(block, tail, head) {
+  if (!block?.text) throw new SourceEditError('The graph has no dot { } block in this file to add to');
+  const statement = `edge ${leanString(tail)} → ${leanString(head)}`;
+  const lines = blockLines(block);
+  const last = lines.get(block.endLine);
+  const brace = { line: block.endLine, character: block.endChar - 1 };
+  const beforeBrace = last.text.slice(0, brace.character - last.offset);
+  if (last.offset > 0 || !isBlank(beforeBrace)) {
+    return [{ range: { start: brace, end: brace }, newText: `${statement} ` }];
+  }
+  // Indent like the last statement in the block, or two spaces past the brace
+  let indent = `${beforeBrace}  `;
+  for (let line = block.endLine - 1; line > block.startLine; line--) {
+    const text = lines.get(line)?.text || '';
+    if (!isBlank(text)) {
+      indent = /^\s*/.exec(text)[0];
+      break;
+    }
+  }
+  return [{ range: { start: brace, end: brace }, newText: `${indent}${statement}\n${beforeBrace}` }];
+}
+
+// Apply TextEdits to `uri` through the infoview's editor connection
+export async function applyEdits(editorConnection, uri, edits) {
+  if (!editorConnection) throw new SourceEditError('No editor connection');
+  await editorConnection.api.applyEdit({ changes: { [uri]: edits } });
+}
@@ -0,0 +1,188 @@
+// Colors for the widget and the rendered graph, taken from the editor theme.
+//
+// VS Code exposes its theme to webviews as --vscode-* CSS variables and a theme
+// kind on <body> (vscode-light, vscode-dark, vscode-high-contrast,
+// vscode-high-contrast-light). The widget reads both, falling back to VS Code's
+// default colors for each kind when a variable isn't set.
+//
+// The graph itself is drawn in one of three color modes:
+//   editor     Graphviz's default black-on-white is replaced by the editor's
+//              colors; colors the graph sets explicitly are left alone
+//   original   exactly as Graphviz draws it, on white
+//   print      black ink on white: every stroke and text black, fills cleared
+
+export const COLOR_MODES = [
+  ['editor', 'Follow editor'],
+  ['original', 'Original Graphviz colors'],
+  ['print', 'Print (black on white)']
+];
+
+// Theme color -> CSS variables to try, in order
+const VARIABLES = {
+  background: ['--vscode-editor-background'],
+  foreground: ['--vscode-editor-foreground', '--vscode-foreground'],
+  muted: ['--vscode-descriptionForeground'],
+  border: ['--vscode-contrastBorder', '--vscode-widget-border', '--vscode-panel-border'],
+  widgetBackground: ['--vscode-editorWidget-background'],
+  inputBackground: ['--vscode-input-background'],
+  buttonBackground: ['--vscode-button-secondaryBackground'],
+  buttonBorder: ['--vscode-button-border', '--vscode-contrastBorder'],
+  activeBackground: ['--vscode-inputOption-activeBackground'],
+  focusBorder: ['--vscode-contrastActiveBorder', '--vscode-focusBorder'],
+  errorForeground: ['--vscode-errorForeground'],
+  errorBackground: ['--vscode-inputValidation-errorBackground'],
+  warningForeground: ['--vscode-editorWarning-foreground'],
+  warningBackground: ['--vscode-inputValidation-warningBackground']
+};
+
+// VS Code's defaults per theme kind
+const FALLBACKS = {
+  light: {
+    background: '#ffffff', foreground: '#333333', muted: '#666666', border: '#cccccc',
+    widgetBackground: '#f3f3f3', inputBackground: '#ffffff', buttonBackground: '#f5f5f5',
+    buttonBorder: 'transparent', activeBackground: '#e3f2fd', focusBorder: '#007acc', errorForeground: '#c62828',
+    errorBackground: '#ffebee', warningForeground: '#e65100', warningBackground: '#fff3e0',
+    shadow: '0 2px 8px rgba(0,0,0,0.15)'
+  },
+  dark: {
+    background: '#1e1e1e', foreground: '#d4d4d4', muted: '#888888', border: '#3c3c3c',
+    widgetBackground: '#252526', inputBackground: '#3c3c3c', buttonBackground: '#3c3c3c',
+    buttonBorder: 'transparent', activeBackground: '#264f78', focusBorder: '#007acc', errorForeground: '#ff8a80',
+    errorBackground: '#3d1f1f', warningForeground: '#ffb74d', warningBackground: '#4a3000',
+    shadow: '0 2px 8px rgba(0,0,0,0.5)'
+  },
+  'high-contrast': {
+    background: '#000000', foreground: '#ffffff', muted: '#ffffff', border: '#6fc3df',
+    widgetBackground: '#0c141f', inputBackground: '#000000', buttonBackground: '#000000',
+    buttonBorder: '#6fc3df', activeBackground: '#000000', focusBorder: '#f38518', errorForeground: '#f48771',
+    errorBackground: '#000000', warningForeground: '#ffd370', warningBackground: '#000000',
+    shadow: 'none'
+  },
+  'high-contrast-light': {
+    background: '#ffffff', foreground: '#292929', muted: '#292929', border: '#0f4a85',
+    widgetBackground: '#ffffff', inputBackground: '#ffffff', buttonBackground: '#ffffff',
+    buttonBorder: '#0f4a85', activeBackground: '#ffffff', focusBorder: '#006bbd', errorForeground: '#b5200d',
+    errorBackground: '#ffffff', warningForeground: '#895503', warningBackground: '#ffffff',
+    shadow: 'none'
+  }
+};
+
+// Theme kind of the surrounding editor
+export function themeKind() {
+  const body = document.body;
+  const kind = body.getAttribute('data-vscode-theme-kind');
+  if (kind === 'vscode-high-contrast-light' || body.classList.contains('vscode-high-contrast-light')) {
+    return 'high-contrast-light';
+  }
+  if (kind === 'vscode-high-contrast' || body.classList.contains('vscode-high-contrast')) return 'high-contrast';
+  if (kind === 'vscode-dark' || body.classList.contains('vscode-dark')) return 'dark';
+  return 'light';
+}
+
+// VS Code's default theme of a kind, for exports with a fixed background
+export function defaultTheme(kind) {
+  return {
+    ...FALLBACKS[kind],
+    kind,
+    dark: kind === 'dark' || kind === 'high-contrast',
+    highContrast: kind.startsWith('high-contrast')
+  };
+}
+
+// The editor's current colors: { kind, dark, highContrast, background, foreground, ... }
+export function readTheme() {
+  const kind = themeKind();
+  const style = getComputedStyle(document.documentElement);
+  const bodyStyle = getComputedStyle(document.body);
+  const theme = defaultTheme(kind);
+  for (const [name, variables] of Object.entries(VARIABLES)) {
+    for (const variable of variables) {
+      const value = (style.getPropertyValue(variable) || bodyStyle.getPropertyValue(variable)).trim();
+      if (value) {
+        theme[name] = value;
+        break;
+      }
+    }
+  }
+  return theme;
+}
+
+// Call `onChange` whenever the theme kind or its CSS variables may have changed
+export function watchTheme(onChange) {
+  const observer = new MutationObserver(onChange);
+  observer.observe(document.body, { attributes: true, attributeFilter: ['class', 'data-vscode-theme-kind'] });
+  observer.observe(document.documentElement, { attributes: true, attributeFilter: ['style', 'class'] });
+  return () => observer.disconnect();
+}
+
+// Style of the widget's toolbar and panel buttons; `active` ones are highlighted
+export function buttonStyle(theme, active = false) {
+  return {
+    padding: '2px 8px',
+    fontSize: '11px',
+    border: active ? `1px solid ${theme.focusBorder}` : `1px solid ${theme.buttonBorder}`,
+    borderRadius: '3px',
+    backgroundColor: active
+      ? theme.activeBackground
+      : theme.buttonBackground,
+    color: theme.foreground,
+    cursor: 'pointer'
+  };
+}
+
+// Background behind the graph in a color mode
+export function graphBackground(model, mode, theme) {
+  if (mode === 'print') return 'white';
+  if (mode === 'original') return model.attributes.bgcolor || 'white';
+  return model.attributes.bgcolor || theme.background;
+}
+
+const isFilled = (attributes) => /\bfilled\b/.test(attributes.style || '');
+
+// Recolor the parts of one SVG group that Graphviz drew in its default colors
+function recolorDefaults(group, attributes, color) {
+  const explicitColor = attributes.color || attributes.pencolor;
+  if (!explicitColor) {
+    group.querySelectorAll('[stroke="black"]').forEach(el => { el.style.stroke = color; });
+    // Arrowheads are filled with the edge color
+    group.querySelectorAll('polygon[fill="black"]').forEach(el => { el.style.fill = color; });
+  }
+  // Text on a fill of the element's own keeps its color
+  if (!attributes.fontcolor && !isFilled(attributes) && !attributes.bgcolor) {
+    group.querySelectorAll('text:not([fill])').forEach(el => { el.style.fill = color; });
+  }
+}
+
+// Apply a color mode to freshly rendered Graphviz SVG for `model`
+export function styleGraph(svg, model, mode, theme) {
+  const graphPolygon = svg.querySelector('g.graph > polygon');
+  if (mode === 'original') return;
+
+  if (mode === 'print') {
+    if (graphPolygon) graphPolygon.style.fill = 'white';
+    svg.querySelectorAll('g.node, g.edge, g.cluster').forEach(group => {
+      const edge = group.classList.contains('edge');
+      group.querySelectorAll('ellipse, polygon, path, polyline').forEach(el => {
+        if (el.getAttribute('stroke') && el.getAttribute('stroke') !== 'none' && el.getAttribute('stroke') !== 'transparent') {
+          el.style.stroke = 'black';
+        }
+        if (el.getAttribute('fill') && el.getAttribute('fill') !== 'none') {
+          el.style.fill = edge ? 'black' : 'white';
+        }
+      });
+    });
+    svg.querySelectorAll('text').forEach(el => { el.style.fill = 'black'; });
+    return;
+  }
+
+  // Follow the editor: only Graphviz's defaults change
+  if (graphPolygon && !model.attributes.bgcolor) graphPolygon.style.fill = 'transparent';
+  if (!model.attributes.fontcolor && !model.attributes.bgcolor) {
+    svg.querySelectorAll('g.graph > text:not([fill])').forEach(el => { el.style.fill = theme.foreground; });
+  }
+  const groups = [...model.nodes.values(), ...model.edges, ...model.clusters.values()];
+  for (const item of groups) {
+    const group = item.svgId && svg.getElementById(item.svgId);
+    if (group) recolorDefaults(group, item.attributes, theme.foreground);
+  }
+}
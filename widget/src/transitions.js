@@ -0,0 +1,58 @@
+// Animated transitions between two layouts of (mostly) the same graph.
+//
+// The new SVG replaces the old one at once; the transition is drawn on top of it
+// with the Web Animations API. Nodes in both layouts start at their old position
+// and glide to the new one, new nodes fade in, removed nodes are copied over from
+// the old SVG and fade out, and edges and clusters fade in once the nodes are
+// nearly in place (their shapes change too much to tween).
+
+export const TRANSITION_MS = 450;
+
+// Whether the user asked the OS for less motion
+export function prefersReducedMotion() {
+  return typeof window !== 'undefined' && !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Animate `svg` (showing `model`) in from `previous` = { svg, model }, the layout
+// that was on screen before
+export function animateTransition(svg, model, previous, duration = TRANSITION_MS) {
+  const graph = svg.querySelector('g.graph');
+  if (!graph || typeof graph.animate !== 'function') return;
+
+  model.nodes.forEach(node => {
+    const el = node.svgId && svg.getElementById(node.svgId);
+    if (!el) return;
+    const old = previous.model.nodes.get(node.name);
+    if (old?.pos && node.pos) {
+      // Graphviz's y axis points up; the SVG's points down
+      const dx = old.pos.x - node.pos.x;
+      const dy = node.pos.y - old.pos.y;
+      if (dx !== 0 || dy !== 0) {
+        el.animate(
+          [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'translate(0px, 0px)' }],
+          { duration, easing: 'ease-in-out' });
+      }
+    } else {
+      el.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing: 'ease-in' });
+    }
+  });
+
+  svg.querySelectorAll('g.edge, g.cluster').forEach(el => {
+    el.animate([{ opacity: 0 }, { opacity: 0, offset: 0.6 }, { opacity: 1 }], { duration });
+  });
+
+  // Removed nodes: a copy of the old drawing fades out where it was
+  previous.model.nodes.forEach(old => {
+    if (model.nodes.has(old.name)) return;
+    const el = old.svgId && previous.svg.getElementById(old.svgId);
+    if (!el) return;
+    const ghost = el.cloneNode(true);
+    ghost.removeAttribute('id');
+    ghost.setAttribute('class', 'dot4-leaving');
+    ghost.setAttribute('aria-hidden', 'true');
+    ghost.style.pointerEvents = 'none';
+    graph.appendChild(ghost);
+    ghost.animate([{ opacity: 1 }, { opacity: 0 }], { duration, easing: 'ease-out' })
+      .onfinish = () => ghost.remove();
+  });
+}
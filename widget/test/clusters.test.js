@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseClusters, summaryNodeName, SUMMARY_ATTRIBUTE } from '../src/clusters.js';
+import { modelToDot } from '../src/dotWriter.js';
+import { layOut } from './fixtures.js';
+
+const dot = `digraph {
+  subgraph cluster_a { a1; a2; subgraph cluster_inner { a3 } }
+  b
+  a1 -> b; a2 -> b; a3 -> b [tailport=s]; a1 -> a2
+}`;
+
+test('a collapsed cluster becomes one summary node', () => {
+  const model = layOut(dot);
+  const options = collapseClusters(model, ['cluster_a']);
+  assert.deepEqual([...options.nodes], ['b']);
+  assert.equal(options.extraNodes.length, 1);
+  const summary = options.extraNodes[0];
+  assert.equal(summary.name, summaryNodeName('cluster_a'));
+  assert.equal(summary.attributes[SUMMARY_ATTRIBUTE], 'cluster_a');
+  assert.match(summary.attributes.label, /\(3 nodes\)/);
+});
+
+test('rerouted edges are merged and lose their endpoint attributes', () => {
+  const model = layOut(dot);
+  const { extraEdges } = collapseClusters(model, ['cluster_a', 'cluster_inner']);
+  assert.equal(extraEdges.length, 1);
+  assert.equal(extraEdges[0].attributes.label, '×3');
+  assert.equal(extraEdges[0].attributes.tailport, undefined);
+});
+
+test('collapsing an inner cluster keeps the outer one', () => {
+  const model = layOut(dot);
+  const collapsed = layOut(modelToDot(model, collapseClusters(model, ['cluster_inner'])));
+  assert.ok(collapsed.nodes.has(summaryNodeName('cluster_inner')));
+  assert.equal(collapsed.nodes.get(summaryNodeName('cluster_inner')).cluster, 'cluster_a');
+  assert.ok(!collapsed.nodes.has('a3'));
+});
+
+test('nothing to collapse leaves the options alone', () => {
+  const model = layOut(dot);
+  const options = { nodes: new Set(['b']) };
+  assert.equal(collapseClusters(model, ['cluster_a'], options), options);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quoteId, formatAttributes, modelToDot } from '../src/dotWriter.js';
+import { layOut, renders } from './fixtures.js';
+
+test('quoteId escapes quotes but keeps Graphviz escapes', () => {
+  assert.equal(quoteId('a "b"'), '"a \\"b\\""');
+  assert.equal(quoteId('line\\nbreak'), '"line\\nbreak"');
+});
+
+test('layout output is dropped unless asked for', () => {
+  const attributes = { pos: '1,2', width: '0.75', color: 'red' };
+  assert.equal(formatAttributes(attributes), ' [color="red"]');
+  assert.equal(formatAttributes(attributes, { keep: new Set(['pos']) }), ' [pos="1,2", color="red"]');
+  assert.equal(formatAttributes(attributes, { keepLayout: true }), ' [pos="1,2", width="0.75", color="red"]');
+  assert.equal(formatAttributes({ width: '2', fixedsize: 'true' }), ' [width="2", fixedsize="true"]');
+});
+
+test('a written graph lays out to the same graph', () => {
+  const model = layOut(`digraph g {
+    subgraph cluster_x { label="X"; a -> b }
+    b -> c [color=blue]; c -> a
+  }`);
+  const again = layOut(modelToDot(model));
+  assert.deepEqual([...again.nodes.keys()].sort(), [...model.nodes.keys()].sort());
+  assert.deepEqual(again.edges.map(e => e.key), model.edges.map(e => e.key));
+  assert.deepEqual([...again.clusters.keys()], ['cluster_x']);
+  assert.equal(again.clusters.get('cluster_x').label, 'X');
+  assert.equal(again.edges.find(e => e.id === 'b->c').attributes.color, 'blue');
+});
+
+test('HTML labels are written as HTML strings', () => {
+  const model = layOut('digraph { a [label=<<b>bold</b> &amp; x>]; b [label="<init>"]; a -> b }');
+  const dot = modelToDot(model);
+  assert.match(dot, /label=<<b>bold<\/b> &amp; x>/);
+  assert.match(dot, /label="<init>"/);
+  assert.ok(renders(dot));
+});
+
+test('filtered nodes take their edges with them', () => {
+  const model = layOut('digraph { a -> b -> c }');
+  const dot = modelToDot(model, { nodes: new Set(['a', 'b']) });
+  assert.doesNotMatch(dot, /"c"/);
+  assert.match(dot, /"a" -> "b"/);
+});
@@ -0,0 +1,16 @@
+// Graph models for the tests, laid out by Graphviz the way the widget does it
+
+import { instance } from '@viz-js/viz';
+import { buildGraphModel } from '../src/graphModel.js';
+import { htmlLabels } from '../src/dotSyntax.js';
+
+const viz = await instance();
+
+export function layOut(dot, options = {}) {
+  const json = JSON.parse(viz.renderString(dot, { format: 'json0', ...options }));
+  return buildGraphModel(json, { htmlLabels: htmlLabels(dot) });
+}
+
+export function renders(dot) {
+  return viz.render(dot, { format: 'json0' }).status === 'success';
+}
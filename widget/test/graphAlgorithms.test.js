@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  shortestPath, shortestPaths, edgesAlong, degrees, stronglyConnectedComponents, cyclicComponents,
+  cycleClosingEdges, findCycles
+} from '../src/graphAlgorithms.js';
+import { layOut } from './fixtures.js';
+
+// A complete directed graph on n nodes (exponentially many paths and cycles)
+function complete(n) {
+  const names = Array.from({ length: n }, (_, i) => `n${i}`);
+  return `digraph { ${names.flatMap(a => names.filter(b => b !== a).map(b => `${a} -> ${b}`)).join('; ')} }`;
+}
+
+test('shortestPath takes the fewest edges', () => {
+  const model = layOut('digraph { a -> b -> c -> d; a -> d }');
+  assert.deepEqual(shortestPath(model, 'a', 'd'), ['a', 'd']);
+  assert.equal(shortestPath(model, 'd', 'a'), null);
+  assert.deepEqual(shortestPath(layOut('graph { a -- b }'), 'b', 'a'), ['b', 'a']);
+});
+
+test('shortestPaths lists simple paths shortest first', () => {
+  const model = layOut('digraph { a -> b -> c -> d; a -> d; a -> c; b -> d }');
+  const { paths, complete: done } = shortestPaths(model, 'a', 'd');
+  assert.equal(done, true);
+  assert.deepEqual(paths[0], ['a', 'd']);
+  assert.deepEqual(paths.map(p => p.length), [2, 3, 3, 4]);
+  assert.deepEqual(shortestPaths(model, 'a', 'd', { maxLength: 1 }).paths, [['a', 'd']]);
+});
+
+test('shortestPaths stops at its limit and budget', () => {
+  const model = layOut(complete(8), { engine: 'neato' });
+  assert.equal(shortestPaths(model, 'n0', 'n7', { limit: 5 }).paths.length, 5);
+  const cut = shortestPaths(model, 'n0', 'n7', { limit: 1000, budget: 50 });
+  assert.equal(cut.complete, false);
+  assert.ok(cut.paths.length > 0);
+});
+
+test('edgesAlong includes parallel edges', () => {
+  const model = layOut('digraph { a -> b; a -> b; b -> c }');
+  assert.deepEqual(edgesAlong(model, ['a', 'b', 'c']).map(e => e.key), ['a->b', 'a->b#1', 'b->c']);
+});
+
+test('degrees count parallel edges', () => {
+  const result = degrees(layOut('digraph { a -> b; a -> b; c -> a }'));
+  assert.deepEqual(result.get('a'), { in: 1, out: 2 });
+  assert.deepEqual(result.get('b'), { in: 2, out: 0 });
+});
+
+test('components with cycles, self-loops included', () => {
+  const model = layOut('digraph { a -> b -> c -> a; c -> d; e -> e; f }');
+  assert.equal(stronglyConnectedComponents(model).length, 4);
+  assert.deepEqual(cyclicComponents(model).map(c => [...c].sort()), [['a', 'b', 'c'], ['e']]);
+});
+
+test('removing the closing edges leaves a DAG', () => {
+  const model = layOut('digraph { a -> b -> c -> a; b -> a; c -> c }');
+  const closing = new Set(cycleClosingEdges(model));
+  const rest = layOut(`digraph { ${model.edges.filter(e => !closing.has(e)).map(e => `${e.tail} -> ${e.head}`).join('; ')} }`);
+  assert.equal(cyclicComponents(rest).length, 0);
+});
+
+test('findCycles finds each cycle once, shortest first', () => {
+  const model = layOut('digraph { a -> b -> c -> a; b -> a; d -> d }');
+  const { cycles, complete: done } = findCycles(model);
+  assert.equal(done, true);
+  assert.deepEqual(cycles, [['d'], ['a', 'b'], ['a', 'b', 'c']]);
+  assert.equal(findCycles(model, { limit: 3 }).complete, true);
+});
+
+test('findCycles stops at its limit and budget', () => {
+  const model = layOut(complete(7), { engine: 'neato' });
+  const limited = findCycles(model, { limit: 10 });
+  assert.equal(limited.cycles.length, 10);
+  assert.equal(limited.complete, false);
+  assert.equal(findCycles(model, { limit: Infinity, budget: 100 }).complete, false);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { instance } from '@viz-js/viz';
+import { EMPTY_MODEL, edgeId, nodesWithin } from '../src/graphModel.js';
+import { layOut } from './fixtures.js';
+
+const viz = await instance();
+
+test('nodes, edges and neighbors', () => {
+  const model = layOut('digraph g { a -> b; a -> c; b -> c }');
+  assert.equal(model.name, 'g');
+  assert.equal(model.directed, true);
+  assert.deepEqual(model.nodeOrder, ['a', 'b', 'c']);
+  assert.deepEqual(model.edges.map(e => e.id), ['a->b', 'a->c', 'b->c']);
+  assert.deepEqual([...model.successors.get('a')], ['b', 'c']);
+  assert.deepEqual([...model.predecessors.get('c')], ['a', 'b']);
+  assert.ok(model.nodes.get('a').pos);
+});
+
+test('multi-edges get distinct keys', () => {
+  const model = layOut('digraph { a -> b; a -> b; b -> a }');
+  assert.deepEqual(model.edges.map(e => e.key), ['a->b', 'a->b#1', 'b->a']);
+  assert.equal(edgeId('a', 'b'), 'a->b');
+});
+
+test('label escapes are expanded', () => {
+  const model = layOut('digraph g { a [label="node \\N"]; a -> b [label="\\T to \\H"] }');
+  assert.equal(model.nodes.get('a').label, 'node a');
+  assert.equal(model.nodes.get('b').label, 'b');
+  assert.equal(model.edges[0].label, 'a to b');
+});
+
+test('clusters nest, skipping plain subgraphs', () => {
+  const model = layOut(`digraph {
+    subgraph cluster_outer { subgraph plain { subgraph cluster_inner { a } } b }
+    c
+  }`);
+  assert.equal(model.clusters.get('cluster_inner').parent, 'cluster_outer');
+  assert.equal(model.clusters.get('cluster_outer').parent, null);
+  assert.equal(model.nodes.get('a').cluster, 'cluster_inner');
+  assert.equal(model.nodes.get('b').cluster, 'cluster_outer');
+  assert.equal(model.nodes.get('c').cluster, null);
+});
+
+test('SVG ids match the groups Graphviz draws', () => {
+  const dot = `digraph {
+    subgraph s1 { x }
+    subgraph cluster_b { b1 -> b2 }
+    subgraph s2 { y }
+    subgraph cluster_c { c }
+    x -> c; y -> b1
+  }`;
+  const model = layOut(dot);
+  const svg = viz.renderString(dot, { format: 'svg' });
+  const titled = (id) => new RegExp(`<g id="${id}" class="[a-z]+">\\s*<title>([^<]*)</title>`).exec(svg)?.[1];
+  for (const cluster of model.clusters.values()) assert.equal(titled(cluster.svgId), cluster.name);
+  for (const node of model.nodes.values()) assert.equal(titled(node.svgId), node.name);
+  for (const edge of model.edges) assert.equal(titled(edge.svgId), `${edge.tail}&#45;&gt;${edge.head}`);
+});
+
+test('nodesWithin follows the chosen direction', () => {
+  const model = layOut('digraph { a -> b -> c -> d; x -> b }');
+  assert.deepEqual([...nodesWithin(model, ['b'], 1, 'out')].sort(), ['b', 'c']);
+  assert.deepEqual([...nodesWithin(model, ['b'], 1, 'in')].sort(), ['a', 'b', 'x']);
+  assert.deepEqual([...nodesWithin(model, ['b'], 2)].sort(), ['a', 'b', 'c', 'd', 'x']);
+});
+
+test('the empty model has no elements', () => {
+  assert.equal(EMPTY_MODEL.nodes.size, 0);
+  assert.equal(EMPTY_MODEL.edges.length, 0);
+});
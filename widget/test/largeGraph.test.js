@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countElements, isLargeGraph, isHugeGraph } from '../src/largeGraph.js';
+
+test('nodes are counted once, edges per operator', () => {
+  assert.deepEqual(countElements('digraph { a -> b -> c; a -> c; d }'), { nodes: 4, edges: 3, total: 7 });
+  assert.deepEqual(countElements('graph { a -- b }'), { nodes: 2, edges: 1, total: 3 });
+});
+
+test('attributes, keywords and graph names are not nodes', () => {
+  const dot = `strict digraph G {
+    graph [rankdir=LR]; node [shape=box]; edge [color=red]
+    rankdir=TB
+    a [label="x -> y", color=blue]
+    subgraph cluster_s { label="S"; b }
+    a -> b
+  }`;
+  assert.deepEqual(countElements(dot), { nodes: 2, edges: 1, total: 3 });
+});
+
+test('quoted, HTML and commented text is skipped', () => {
+  const dot = `digraph {
+    // c -> d
+    /* e -> f */
+    "a b" [label=<<b>g -> h</b>>]
+    "a b" -> i
+  }`;
+  assert.deepEqual(countElements(dot), { nodes: 2, edges: 1, total: 3 });
+});
+
+test('thresholds', () => {
+  assert.equal(isLargeGraph(1001, 1000), true);
+  assert.equal(isLargeGraph(1000, 1000), false);
+  assert.equal(isLargeGraph(5000, 0), false);
+  assert.equal(isHugeGraph(10001, 1000), true);
+  assert.equal(isHugeGraph(10000, 1000), false);
+});
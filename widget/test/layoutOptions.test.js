@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { activeOverrides, withOverrides, dot4Lines } from '../src/layoutOptions.js';
+import { ownAttributes } from '../src/dotSyntax.js';
+import { modelToDot } from '../src/dotWriter.js';
+import { layOut } from './fixtures.js';
+
+test('ownAttributes leaves out the root defaults', () => {
+  const { nodes, edges } = ownAttributes(`digraph {
+    node [shape=ellipse]; edge [style=solid]
+    subgraph cluster_a { node [fontsize=20]; a1 -> a2 [color=red] }
+    b [shape=box]; b:p -> c -> b; b -> c [arrowhead=vee]
+  }`);
+  assert.deepEqual([...nodes.get('a1')], ['fontsize']);
+  assert.deepEqual([...nodes.get('b')], ['shape']);
+  assert.deepEqual([...nodes.get('c')], []);
+  assert.deepEqual([...edges.get('a1->a2')], ['color']);
+  assert.deepEqual([...edges.get('b->c')], []);
+  assert.deepEqual([...edges.get('b->c#1')], ['arrowhead']);
+});
+
+test('node and edge options act as defaults, like the Dot4 lines', () => {
+  const dot = 'digraph { node [shape=ellipse]; a [shape=circle]; b; a -> b [arrowhead=vee]; b -> a }';
+  const overrides = activeOverrides({ graph: {}, node: { shape: 'box' }, edge: { arrowhead: 'dot' } }, 'dot');
+  const derived = layOut(modelToDot(layOut(dot), withOverrides({}, overrides, ownAttributes(dot))));
+  assert.equal(derived.nodes.get('a').attributes.shape, 'circle');
+  assert.equal(derived.nodes.get('b').attributes.shape, 'box');
+  assert.deepEqual(derived.edges.map(e => e.attributes.arrowhead), ['vee', 'dot']);
+  assert.equal(dot4Lines(overrides), 'node_defaults shape="box"\nedge_defaults arrowhead="dot"');
+});
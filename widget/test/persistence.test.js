@@ -0,0 +1,53 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadViewState, saveViewState, clearViewState, hashString } from '../src/persistence.js';
+
+// localStorage stand-in
+class MemoryStorage {
+  constructor() { this.items = new Map(); }
+  get length() { return this.items.size; }
+  key(i) { return [...this.items.keys()][i] ?? null; }
+  getItem(key) { return this.items.get(key) ?? null; }
+  setItem(key, value) { this.items.set(key, String(value)); }
+  removeItem(key) { this.items.delete(key); }
+}
+
+beforeEach(() => {
+  globalThis.window = { localStorage: new MemoryStorage() };
+});
+
+test('state comes back as it was saved', () => {
+  saveViewState('k', { hiddenNodes: new Set(['a', 'b']), focusOptions: { hops: Infinity }, engine: 'neato' });
+  assert.deepEqual(loadViewState('k'), { hiddenNodes: ['a', 'b'], focusOptions: { hops: Infinity }, engine: 'neato' });
+  clearViewState('k');
+  assert.equal(loadViewState('k'), null);
+});
+
+test('no key, nothing saved', () => {
+  saveViewState(null, { engine: 'dot' });
+  assert.equal(loadViewState(null), null);
+  assert.equal(window.localStorage.length, 0);
+});
+
+test('without storage the in-memory copy is used', () => {
+  delete globalThis.window;
+  saveViewState('m', { engine: 'circo' });
+  assert.deepEqual(loadViewState('m'), { engine: 'circo' });
+});
+
+test('unreadable entries are ignored', () => {
+  window.localStorage.setItem('dot4-view:bad', '{');
+  assert.equal(loadViewState('bad'), null);
+});
+
+test('only the most recently saved graphs are kept', () => {
+  for (let i = 0; i < 105; i++) saveViewState(`g${i}`, { i });
+  assert.equal(window.localStorage.length, 100);
+  assert.equal(window.localStorage.getItem('dot4-view:g104') !== null, true);
+});
+
+test('hashString is stable and short', () => {
+  assert.equal(hashString('digraph { a -> b }'), hashString('digraph { a -> b }'));
+  assert.notEqual(hashString('a'), hashString('b'));
+  assert.match(hashString('x'.repeat(10000)), /^[0-9a-z]{1,7}$/);
+});
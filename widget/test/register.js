@@ -0,0 +1,7 @@
+// Lets `node --test` load the widget's sources as they are: they import each
+// other without file extensions, which rollup resolves but Node doesn't.
+// Usage: node --import ./test/register.js --test test/*.test.js
+
+import { register } from 'node:module';
+
+register('./resolve.js', import.meta.url);
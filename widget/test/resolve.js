@@ -0,0 +1,9 @@
+// Module resolution hook (see register.js): relative imports without an
+// extension get `.js`.
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.\.?\//.test(specifier) && !/\.[cm]?jsx?$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SourceEditError, leanString, renameLabelEdits, deleteEdgeEdits, deleteNodeEdits, addEdgeEdits
+} from '../src/sourceEdits.js';
+
+// A `dot { }` block starting at line 10, character 2, as the sourceBlock prop gives it
+const block = {
+  startLine: 10,
+  startChar: 2,
+  endLine: 15,
+  endChar: 3,
+  text: ['dot {', '    node "a" label="A"', '    node "b"', '    edge "a" → "b"', '    edge "b" → "c" → "d"', '  }'].join('\n')
+};
+const at = (id, line, text) => ({ id, startLine: line, startChar: 4, endLine: line, endChar: 4 + text.length, text });
+const locations = [
+  at('a', 11, 'node "a" label="A"'),
+  at('b', 12, 'node "b"'),
+  at('a->b', 13, 'edge "a" → "b"'),
+  at('b->c', 14, 'edge "b" → "c" → "d"'),
+  at('c->d', 14, 'edge "b" → "c" → "d"')
+];
+
+test('leanString escapes', () => {
+  assert.equal(leanString('say "hi"\n\\'), '"say \\"hi\\"\\n\\\\"');
+});
+
+test('renaming replaces or adds the label', () => {
+  assert.equal(renameLabelEdits(locations[0], 'B')[0].newText, 'node "a" label="B"');
+  assert.equal(renameLabelEdits(at('x', 11, 'node "x"'), 'X')[0].newText, 'node "x" label="X"');
+  assert.throws(() => renameLabelEdits(at('x', 11, 'node "x" label=$(name)'), 'X'), SourceEditError);
+  assert.throws(() => renameLabelEdits(locations[2], 'X'), /Only labels of `node`/);
+});
+
+test('deleting a statement on its own line removes the line', () => {
+  const [edit] = deleteEdgeEdits(locations, block, 'a->b');
+  assert.deepEqual(edit.range, { start: { line: 13, character: 0 }, end: { line: 14, character: 0 } });
+  assert.equal(edit.newText, '');
+});
+
+test('edges declared together are not cut apart', () => {
+  assert.throws(() => deleteEdgeEdits(locations, block, 'b->c'), /together with c->d/);
+  const edges = [{ id: 'a->b', tail: 'a', head: 'b' }, { id: 'b->c', tail: 'b', head: 'c' }, { id: 'c->d', tail: 'c', head: 'd' }];
+  const { edits, kept } = deleteNodeEdits(locations, block, 'a', edges);
+  assert.equal(edits.length, 2);
+  assert.deepEqual(kept, []);
+  assert.deepEqual(deleteNodeEdits(locations, block, 'b', edges).kept, ['b->c']);
+});
+
+test('a new edge goes before the closing brace, indented like the others', () => {
+  const [edit] = addEdgeEdits(block, 'd', 'a');
+  assert.deepEqual(edit.range.start, { line: 15, character: 2 });
+  assert.equal(edit.newText, '    edge "d" → "a"\n  ');
+  const oneLine = { startLine: 3, startChar: 0, endLine: 3, endChar: 11, text: 'dot { a b }' };
+  assert.equal(addEdgeEdits(oneLine, 'a', 'b')[0].newText, 'edge "a" → "b" ');
+});